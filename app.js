@@ -10,23 +10,46 @@ const App = {
     /**
      * Initialize the application
      */
-    init() {
+    async init() {
         console.log('MonoNote initializing...');
 
         // Initialize theme
         this.initTheme();
 
+        // Unlock the vault and load data before any module reads from storage
+        await Database.open();
+        await Vault.init();
+        await Storage.init();
+        await Migrations.run();
+
         // Initialize all modules
+        Trash.init();
+        Search.init();
+        Tags.init();
         Sidebar.init();
         Editor.init();
+        Linking.init();
+        Autocomplete.init();
+        Preview.init();
         Voice.init();
         LLM.init();
+        Importer.init();
+        Backup.init();
+        Versions.init();
+        Usage.init();
+        Sync.init();
+        Replace.init();
+        Graph.init();
+        Palette.init();
 
         // Bind theme toggle
         document.getElementById('themeToggleBtn').addEventListener('click', () => {
             this.toggleTheme();
         });
 
+        // Bind workspace menu
+        this.bindWorkspaceMenu();
+
         // Check for existing pages
         const pages = Storage.getAllPages();
         const pageCount = Object.keys(pages).length;
@@ -79,6 +102,69 @@ const App = {
         }
     },
 
+    /**
+     * Bind the workspace menu (import/export and other workspace commands)
+     */
+    bindWorkspaceMenu() {
+        const menu = document.getElementById('workspaceMenu');
+        const btn = document.getElementById('workspaceMenuBtn');
+
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const rect = btn.getBoundingClientRect();
+            menu.style.top = `${rect.bottom + 4}px`;
+            menu.style.right = `${window.innerWidth - rect.right}px`;
+            menu.classList.toggle('hidden');
+        });
+
+        menu.querySelectorAll('.context-item').forEach(item => {
+            item.addEventListener('click', () => {
+                menu.classList.add('hidden');
+                this.handleWorkspaceAction(item.dataset.action);
+            });
+        });
+
+        // Close on click outside
+        document.addEventListener('click', (e) => {
+            if (!menu.contains(e.target)) {
+                menu.classList.add('hidden');
+            }
+        });
+    },
+
+    /**
+     * Handle a workspace menu action
+     * @param {string} action - Action name
+     */
+    handleWorkspaceAction(action) {
+        switch (action) {
+            case 'replace':
+                Replace.show();
+                break;
+            case 'graph':
+                Graph.show();
+                break;
+            case 'import':
+                Importer.show();
+                break;
+            case 'export-markdown':
+                Exporter.exportMarkdown();
+                break;
+            case 'export-json':
+                Backup.exportJson();
+                break;
+            case 'restore-json':
+                Backup.show();
+                break;
+            case 'vault':
+                Vault.show();
+                break;
+            case 'usage':
+                Usage.show();
+                break;
+        }
+    },
+
     /**
      * Open a page for editing
      * @param {string} pageId - Page ID
@@ -90,6 +176,8 @@ const App = {
             return;
         }
 
+        // Don't drop edits that are waiting on a conflict with another tab
+        Sync.saveConflictCopy();
         this.currentPageId = pageId;
 
         // Load page into editor
@@ -106,6 +194,7 @@ const App = {
      * Close the current page
      */
     closePage() {
+        Sync.saveConflictCopy();
         this.currentPageId = null;
         Editor.clear();
         this.updateBreadcrumb(null);
@@ -139,6 +228,19 @@ const App = {
         breadcrumb.innerHTML = html;
     },
 
+    /**
+     * Show why the app couldn't start, e.g. browser storage is blocked
+     * @param {Error} error - Startup error
+     */
+    showStartupError(error) {
+        document.getElementById('startupBannerText').textContent =
+            `MonoNote couldn't load your notes — ${error.message || 'the browser refused to open its storage'}. Reload to try again.`;
+        document.getElementById('startupReloadBtn').addEventListener('click', () => {
+            location.reload();
+        });
+        document.getElementById('startupBanner').classList.remove('hidden');
+    },
+
     /**
      * Escape HTML special characters
      * @param {string} str - String to escape
@@ -153,5 +255,8 @@ const App = {
 
 // Initialize app when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
-    App.init();
+    App.init().catch(e => {
+        console.error('Startup failed:', e);
+        App.showStartupError(e);
+    });
 });
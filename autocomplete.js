@@ -0,0 +1,315 @@
+/**
+ * Autocomplete Module - Suggests pages while a [[link]] is typed in a block
+ * Lists fuzzy-matched page titles (and a "Create page" entry) under the
+ * caret; after "#" it lists the headings of the chosen page.
+ */
+
+const Autocomplete = {
+    MAX_ITEMS: 8,
+
+    popup: null,
+    input: null,     // Block textarea being completed
+    context: null,   // { start, end, closing, mode, query, page } for the link at the caret
+    items: [],       // Items shown { icon, label, detail, insert, create }
+    selected: 0,
+
+    /**
+     * Initialize the suggestion popup
+     */
+    init() {
+        this.popup = document.getElementById('linkSuggest');
+
+        // Keep the textarea focused while an item is clicked
+        this.popup.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+        });
+
+        window.addEventListener('resize', () => {
+            this.hide();
+        });
+    },
+
+    /**
+     * Complete links in a block textarea. Attach before the editor's own key handlers,
+     * so keys used by the popup don't also move between blocks.
+     * @param {HTMLTextAreaElement} input - Block textarea
+     */
+    attach(input) {
+        input.addEventListener('input', () => {
+            this.update(input);
+        });
+
+        input.addEventListener('click', () => {
+            this.update(input);
+        });
+
+        input.addEventListener('keyup', (e) => {
+            if (['ArrowLeft', 'ArrowRight', 'Home', 'End'].includes(e.key)) {
+                this.update(input);
+            }
+        });
+
+        input.addEventListener('keydown', (e) => {
+            this.handleKeydown(e, input);
+        });
+
+        input.addEventListener('blur', () => {
+            this.hide();
+        });
+    },
+
+    /**
+     * Handle keys while suggestions are shown
+     * @param {KeyboardEvent} e - Key event
+     * @param {HTMLTextAreaElement} input - Block textarea
+     */
+    handleKeydown(e, input) {
+        if (this.input !== input || this.popup.classList.contains('hidden')) return;
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.select((this.selected + step + this.items.length) % this.items.length);
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            this.accept(this.items[this.selected]);
+        } else if (e.key === 'Escape') {
+            this.hide();
+        } else if (e.key === '#' && this.context.mode === 'page' && this.context.query.trim()) {
+            // Go on to the headings of the highlighted page
+            const item = this.items[this.selected];
+            if (item.create) return;
+            this.replace(input, `[[${item.insert}#`, this.context.start, input.selectionStart);
+        } else {
+            return;
+        }
+
+        e.preventDefault();
+        e.stopImmediatePropagation();
+    },
+
+    // ============================================
+    // Suggestions
+    // ============================================
+
+    /**
+     * Show, update or hide the suggestions for the text at the caret
+     * @param {HTMLTextAreaElement} input - Block textarea
+     */
+    update(input) {
+        this.input = input;
+        this.context = this.getContext(input);
+
+        if (!this.context) {
+            this.hide();
+            return;
+        }
+
+        this.items = this.getItems(this.context);
+        if (this.items.length === 0) {
+            this.hide();
+            return;
+        }
+
+        this.render();
+    },
+
+    /**
+     * Find the unfinished [[link]] the caret is in
+     * @param {HTMLTextAreaElement} input - Block textarea
+     * @returns {Object|null} { start, end, closing, mode, query, page } - start is at the "[[", and start..end is replaced
+     */
+    getContext(input) {
+        const caret = input.selectionStart;
+        if (caret !== input.selectionEnd) return null;
+
+        const match = /\[\[([^[\]\n]*)$/.exec(input.value.slice(0, caret));
+        if (!match || /[|^]/.test(match[1])) return null;
+
+        // Replace the rest of the word being completed, and a "]]" right after it.
+        // If the link goes on with #heading or |shown text, keep that and its brackets.
+        const rest = /^[^[\]\n|#^]*/.exec(input.value.slice(caret))[0];
+        const after = input.value.slice(caret + rest.length);
+        const context = {
+            start: match.index,
+            end: caret + rest.length + (after.startsWith(']]') ? 2 : 0),
+            closing: !/^[|#^]/.test(after)
+        };
+
+        const inner = match[1];
+        const hash = inner.indexOf('#');
+        if (hash === -1) {
+            return { ...context, mode: 'page', query: inner, page: null };
+        }
+
+        const page = Linking.findPageByTitle(inner.slice(0, hash));
+        if (!page) return null;
+        return { ...context, mode: 'heading', query: inner.slice(inner.lastIndexOf('#') + 1), page: page };
+    },
+
+    /**
+     * Get the suggestions for a link
+     * @param {Object} context - From getContext()
+     * @returns {Array} Items
+     */
+    getItems(context) {
+        if (context.mode === 'heading') {
+            const title = context.page.title;
+            return Linking.getHeadings(context.page.content)
+                .filter(heading => Search.fuzzyMatch(context.query, heading, 0))
+                .slice(0, this.MAX_ITEMS)
+                .map(heading => ({ icon: '#', label: heading, detail: title, insert: `${title}#${heading}` }));
+        }
+
+        const items = Linking.getSuggestions(context.query, this.MAX_ITEMS)
+            .filter(page => page.id !== App.currentPageId)
+            .map(page => ({
+                icon: '📄',
+                label: page.title || 'Untitled',
+                detail: Storage.getFolderPathText(page.folderId),
+                insert: page.title
+            }));
+
+        const title = context.query.trim();
+        if (title && !Linking.findPageByTitle(title)) {
+            items.push({ icon: '＋', label: `Create page "${title}"`, detail: '', insert: title, create: true });
+        }
+
+        return items;
+    },
+
+    /**
+     * Insert the chosen link, creating the page first for a "Create page" item
+     * @param {Object} item - Item
+     */
+    accept(item) {
+        if (!item) return;
+
+        if (item.create) {
+            Linking.createPage(item.insert);
+        }
+
+        const { start, end, closing } = this.context;
+        this.replace(this.input, `[[${item.insert}${closing ? ']]' : ''}`, start, end);
+        this.hide();
+    },
+
+    /**
+     * Replace part of the textarea and let the editor know
+     * @param {HTMLTextAreaElement} input - Block textarea
+     * @param {string} text - New text
+     * @param {number} start - Start of the replaced range
+     * @param {number} end - End of the replaced range
+     */
+    replace(input, text, start, end) {
+        input.value = input.value.slice(0, start) + text + input.value.slice(end);
+        input.setSelectionRange(start + text.length, start + text.length);
+        input.dispatchEvent(new Event('input'));
+    },
+
+    // ============================================
+    // Popup
+    // ============================================
+
+    /**
+     * Show the items under the start of the link
+     */
+    render() {
+        this.popup.innerHTML = '';
+
+        this.items.forEach((item, index) => {
+            const element = document.createElement('div');
+            element.className = 'link-suggest-item';
+            element.innerHTML = `
+                <span class="link-suggest-icon">${item.icon}</span>
+                <span class="link-suggest-label">${this.escapeHtml(item.label)}</span>
+                ${item.detail ? `<span class="link-suggest-detail">${this.escapeHtml(item.detail)}</span>` : ''}
+            `;
+            element.addEventListener('mousemove', () => {
+                if (this.selected !== index) {
+                    this.select(index);
+                }
+            });
+            element.addEventListener('click', () => {
+                this.accept(item);
+            });
+            this.popup.appendChild(element);
+        });
+
+        this.popup.classList.remove('hidden');
+        this.select(0);
+
+        const caret = this.getCaretRect(this.input, this.context.start);
+        const width = this.popup.offsetWidth;
+        this.popup.style.left = `${Math.max(8, Math.min(caret.left, window.innerWidth - width - 8))}px`;
+        this.popup.style.top = `${caret.bottom + 4}px`;
+    },
+
+    /**
+     * Highlight an item
+     * @param {number} index - Item index
+     */
+    select(index) {
+        const elements = this.popup.querySelectorAll('.link-suggest-item');
+        elements[this.selected]?.classList.remove('selected');
+        this.selected = index;
+        elements[index].classList.add('selected');
+        elements[index].scrollIntoView({ block: 'nearest' });
+    },
+
+    /**
+     * Hide the suggestions
+     */
+    hide() {
+        this.popup.classList.add('hidden');
+        this.context = null;
+    },
+
+    /**
+     * Measure where a character of a textarea is on screen, by laying out
+     * the text before it in a hidden copy of the textarea
+     * @param {HTMLTextAreaElement} input - Textarea
+     * @param {number} position - Character position
+     * @returns {Object} { left, top, bottom } in viewport pixels
+     */
+    getCaretRect(input, position) {
+        const style = getComputedStyle(input);
+        const mirror = document.createElement('div');
+
+        ['boxSizing', 'width', 'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+            'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth',
+            'fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'letterSpacing', 'lineHeight',
+            'textTransform', 'wordSpacing', 'tabSize'].forEach(prop => {
+            mirror.style[prop] = style[prop];
+        });
+        mirror.style.position = 'absolute';
+        mirror.style.visibility = 'hidden';
+        mirror.style.top = '0';
+        mirror.style.left = '-9999px';
+        mirror.style.whiteSpace = 'pre-wrap';
+        mirror.style.overflowWrap = 'break-word';
+
+        mirror.textContent = input.value.slice(0, position);
+        const marker = document.createElement('span');
+        marker.textContent = '\u200b';
+        mirror.appendChild(marker);
+        document.body.appendChild(mirror);
+
+        const rect = input.getBoundingClientRect();
+        const top = rect.top + marker.offsetTop - input.scrollTop;
+        const left = rect.left + marker.offsetLeft - input.scrollLeft;
+        const height = marker.offsetHeight || parseFloat(style.lineHeight) || 20;
+        mirror.remove();
+
+        return { left: left, top: top, bottom: top + height };
+    },
+
+    /**
+     * Escape HTML special characters
+     * @param {string} str - String to escape
+     * @returns {string} Escaped string
+     */
+    escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+};
@@ -0,0 +1,512 @@
+/**
+ * Backup Module - JSON backup export and validated restore
+ * A backup is checked against the schema, then either replaces the workspace
+ * or is merged into it by ID. Nothing is written until the preview is confirmed.
+ */
+
+const Backup = {
+    // Fields of each record type: type, and whether required or nullable.
+    // Fields not listed here are kept as they are.
+    SCHEMA: {
+        page: {
+            id: { type: 'string', required: true },
+            title: { type: 'string' },
+            content: { type: 'string' },
+            folderId: { type: 'string', nullable: true },
+            createdAt: { type: 'date' },
+            updatedAt: { type: 'date' },
+            voiceMemos: { type: 'array', of: 'voiceMemo' }
+        },
+        folder: {
+            id: { type: 'string', required: true },
+            name: { type: 'string', required: true },
+            parentId: { type: 'string', nullable: true },
+            createdAt: { type: 'date' }
+        },
+        smartFolder: {
+            id: { type: 'string', required: true },
+            name: { type: 'string', required: true },
+            query: { type: 'string', required: true },
+            sort: { type: 'string' },
+            createdAt: { type: 'date' }
+        },
+        voiceMemo: {
+            id: { type: 'string', required: true },
+            audio: { type: 'string' },
+            transcript: { type: 'string' },
+            createdAt: { type: 'date' }
+        }
+    },
+
+    PREVIEW_LIMIT: 50,
+
+    modal: null,
+    data: null,
+    plan: null,
+
+    /**
+     * Initialize the backup modal
+     */
+    init() {
+        this.modal = document.getElementById('backupModal');
+        this.bindEvents();
+    },
+
+    /**
+     * Bind backup modal events
+     */
+    bindEvents() {
+        const fileInput = document.getElementById('backupFileInput');
+
+        document.getElementById('backupChooseBtn').addEventListener('click', () => {
+            fileInput.click();
+        });
+
+        fileInput.addEventListener('change', async () => {
+            if (fileInput.files.length > 0) {
+                this.load(await fileInput.files[0].text());
+            }
+            fileInput.value = '';
+        });
+
+        this.modal.querySelectorAll('input[name="backupMode"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                this.updatePreview();
+            });
+        });
+
+        document.getElementById('backupImportBtn').addEventListener('click', () => {
+            this.apply(this.plan);
+            this.hide();
+        });
+
+        document.getElementById('cancelBackupBtn').addEventListener('click', () => {
+            this.hide();
+        });
+
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.hide();
+            }
+        });
+    },
+
+    /**
+     * Show the restore modal
+     */
+    show() {
+        this.data = null;
+        this.plan = null;
+        document.getElementById('backupPreview').classList.add('hidden');
+        document.getElementById('backupImportBtn').disabled = true;
+        this.modal.classList.remove('hidden');
+    },
+
+    /**
+     * Hide the restore modal
+     */
+    hide() {
+        this.modal.classList.add('hidden');
+    },
+
+    /**
+     * Download all data as a JSON backup
+     */
+    exportJson() {
+        const blob = new Blob([Storage.exportData()], { type: 'application/json' });
+        const date = new Date().toISOString().slice(0, 10);
+        Exporter.download(blob, `MonoNote-backup-${date}.json`);
+    },
+
+    /**
+     * Validate a backup file and show the preview
+     * @param {string} text - File contents
+     */
+    load(text) {
+        const previewEl = document.getElementById('backupPreview');
+        previewEl.classList.remove('hidden');
+
+        const result = this.parse(text);
+        this.data = result.data;
+
+        if (result.error) {
+            this.plan = null;
+            previewEl.innerHTML = `<p class="import-summary">This file can't be imported: ${this.escapeHtml(result.error)}</p>`;
+            document.getElementById('backupImportBtn').disabled = true;
+            return;
+        }
+
+        this.updatePreview();
+    },
+
+    /**
+     * Recompute and render the preview for the selected mode
+     */
+    updatePreview() {
+        if (!this.data) return;
+
+        const mode = this.modal.querySelector('input[name="backupMode"]:checked').value;
+        this.plan = this.createPlan(this.data, mode);
+        this.renderPreview(this.plan);
+        document.getElementById('backupImportBtn').disabled = false;
+    },
+
+    // ============================================
+    // Validation
+    // ============================================
+
+    /**
+     * Parse and validate a backup. Invalid records are set aside, not fatal.
+     * @param {string} text - JSON text
+     * @returns {Object} { data: { schemaVersion, pages, folders, smartFolders, settings, invalid }, error }
+     */
+    parse(text) {
+        let raw;
+        try {
+            raw = JSON.parse(text);
+        } catch (e) {
+            return { data: null, error: 'it is not valid JSON.' };
+        }
+
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            return { data: null, error: 'it is not a MonoNote backup.' };
+        }
+        if (!raw.pages && !raw.folders) {
+            return { data: null, error: 'it has no pages or folders.' };
+        }
+
+        // Backups from before schema versioning have no version and are version 1
+        const schemaVersion = raw.schemaVersion === undefined ? 1 : raw.schemaVersion;
+        if (!Number.isInteger(schemaVersion) || schemaVersion < 1) {
+            return { data: null, error: `unknown schema version "${raw.schemaVersion}".` };
+        }
+        if (schemaVersion > Storage.SCHEMA_VERSION) {
+            return { data: null, error: `it was made by a newer version of MonoNote (schema ${schemaVersion}).` };
+        }
+
+        // Older backups go through the same migrations as stored data
+        Migrations.upgrade(raw, schemaVersion);
+
+        const data = { schemaVersion: schemaVersion, pages: [], folders: [], smartFolders: [], settings: null, invalid: [] };
+
+        [['pages', 'page'], ['folders', 'folder'], ['smartFolders', 'smartFolder']].forEach(([key, type]) => {
+            const records = raw[key] || [];
+            if (typeof records !== 'object') {
+                data.invalid.push({ type: type, name: key, reason: 'not a list of records' });
+                return;
+            }
+
+            Object.values(records).forEach(record => {
+                const reason = this.validate(record, type);
+                if (reason) {
+                    const name = record && [record.title, record.name, record.id].find(v => typeof v === 'string' && v);
+                    data.invalid.push({ type: type, name: name || '(unnamed)', reason: reason });
+                } else {
+                    data[key].push(this.normalize(record, type));
+                }
+            });
+        });
+
+        if (raw.settings && typeof raw.settings === 'object' && !Array.isArray(raw.settings)) {
+            data.settings = raw.settings;
+        }
+
+        return { data: data, error: null };
+    },
+
+    /**
+     * Check a record against its schema
+     * @param {*} record - Record from the backup
+     * @param {string} type - Schema name
+     * @returns {string|null} Why the record is invalid, or null if valid
+     */
+    validate(record, type) {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            return 'not an object';
+        }
+
+        for (const [field, rule] of Object.entries(this.SCHEMA[type])) {
+            const value = record[field];
+
+            if (value === undefined || value === null) {
+                if (rule.required) return `missing ${field}`;
+                if (value === null && !rule.nullable) return `${field} is null`;
+                continue;
+            }
+
+            if (rule.type === 'date') {
+                if (typeof value !== 'string' || isNaN(new Date(value))) return `${field} is not a date`;
+            } else if (rule.type === 'array') {
+                if (!Array.isArray(value)) return `${field} is not a list`;
+                for (const item of value) {
+                    const reason = this.validate(item, rule.of);
+                    if (reason) return `${field}: ${reason}`;
+                }
+            } else if (typeof value !== rule.type) {
+                return `${field} is not a ${rule.type}`;
+            } else if (rule.required && value === '') {
+                return `${field} is empty`;
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Fill in optional fields so imported records look like ones created here
+     * @param {Object} record - Valid record
+     * @param {string} type - 'page', 'folder' or 'smartFolder'
+     * @returns {Object} Normalized copy
+     */
+    normalize(record, type) {
+        const { deletedAt, deletedFrom, deletedWith, ...copy } = record;
+
+        if (type === 'page') {
+            copy.title = copy.title || 'Untitled';
+            copy.content = copy.content || '';
+            copy.folderId = copy.folderId || null;
+            copy.voiceMemos = (copy.voiceMemos || []).map(memo => ({ ...memo }));
+            copy.updatedAt = copy.updatedAt || copy.createdAt || new Date().toISOString();
+            copy.createdAt = copy.createdAt || copy.updatedAt;
+        } else if (type === 'folder') {
+            copy.parentId = copy.parentId || null;
+        } else {
+            copy.sort = copy.sort || 'relevance';
+        }
+        return copy;
+    },
+
+    // ============================================
+    // Planning
+    // ============================================
+
+    /**
+     * Work out what an import will do, without writing anything
+     * @param {Object} data - Validated backup from parse()
+     * @param {string} mode - 'replace' or 'merge'
+     * @returns {Object} Plan { mode, pages, folders, smartFolders, trash, removed, skipped, settings }
+     */
+    createPlan(data, mode) {
+        const plan = {
+            mode: mode,
+            pages: [],        // { action: 'add'|'update', page, conflictCopy }
+            folders: [],      // { action: 'add', folder }
+            smartFolders: [], // { action: 'add'|'update', smartFolder }
+            trash: { pages: [], folders: [] },
+            removed: { smartFolders: [] }, // Smart folders aren't trashed, just deleted
+            skipped: data.invalid.map(item => ({ name: item.name, reason: item.reason })),
+            settings: mode === 'replace' ? data.settings : null
+        };
+
+        const fileFolderIds = new Set(data.folders.map(folder => folder.id));
+        const filePageIds = new Set(data.pages.map(page => page.id));
+        const folderExists = id => fileFolderIds.has(id) || (mode === 'merge' && Storage.getFolder(id));
+
+        data.folders.forEach(folder => {
+            const local = Storage.getFolder(folder.id);
+            const parentId = folder.parentId && folderExists(folder.parentId) ? folder.parentId : null;
+
+            if (local && mode === 'merge') {
+                plan.skipped.push({ name: folder.name, reason: 'folder already exists' });
+            } else {
+                plan.folders.push({ action: local ? 'update' : 'add', folder: { ...folder, parentId: parentId } });
+            }
+        });
+
+        data.smartFolders.forEach(smartFolder => {
+            const local = Storage.getSmartFolder(smartFolder.id);
+
+            if (local && mode === 'merge') {
+                plan.skipped.push({ name: smartFolder.name, reason: 'smart folder already exists' });
+            } else {
+                plan.smartFolders.push({ action: local ? 'update' : 'add', smartFolder: smartFolder });
+            }
+        });
+
+        data.pages.forEach(page => {
+            const local = Storage.getPage(page.id);
+            const incoming = { ...page, folderId: page.folderId && folderExists(page.folderId) ? page.folderId : null };
+
+            if (!local) {
+                plan.pages.push({ action: 'add', page: incoming });
+            } else if (mode === 'replace') {
+                plan.pages.push({ action: 'update', page: incoming });
+            } else if (local.title === page.title && local.content === page.content) {
+                plan.skipped.push({ name: page.title, reason: 'unchanged' });
+            } else {
+                plan.pages.push(this.mergePage(local, incoming));
+            }
+        });
+
+        if (mode === 'replace') {
+            Object.values(Storage.getAllPages()).forEach(page => {
+                if (!filePageIds.has(page.id)) plan.trash.pages.push(page);
+            });
+            Object.values(Storage.getAllFolders()).forEach(folder => {
+                if (!fileFolderIds.has(folder.id)) plan.trash.folders.push(folder);
+            });
+            const fileSmartFolderIds = new Set(data.smartFolders.map(smartFolder => smartFolder.id));
+            Object.values(Storage.getAllSmartFolders()).forEach(smartFolder => {
+                if (!fileSmartFolderIds.has(smartFolder.id)) plan.removed.smartFolders.push(smartFolder);
+            });
+        }
+
+        return plan;
+    },
+
+    /**
+     * Merge two edited versions of a page: the newer one wins,
+     * the other is kept as a conflict copy next to it
+     * @param {Object} local - Page in the workspace
+     * @param {Object} incoming - Page from the backup
+     * @returns {Object} Plan entry
+     */
+    mergePage(local, incoming) {
+        const incomingIsNewer = new Date(incoming.updatedAt) > new Date(local.updatedAt);
+        const winner = incomingIsNewer ? incoming : local;
+        const loser = incomingIsNewer ? local : incoming;
+
+        // Voice memos are never edited, so both sides' memos are kept on the winner
+        const memos = winner.voiceMemos.slice();
+        loser.voiceMemos.forEach(memo => {
+            if (!memos.some(m => m.id === memo.id)) memos.push(memo);
+        });
+
+        return {
+            action: incomingIsNewer ? 'update' : 'keep',
+            page: { ...winner, folderId: local.folderId, voiceMemos: memos },
+            conflictCopy: {
+                title: `${loser.title} (conflict copy)`,
+                content: loser.content,
+                folderId: local.folderId,
+                voiceMemos: [],
+                createdAt: loser.updatedAt,
+                updatedAt: loser.updatedAt
+            }
+        };
+    },
+
+    // ============================================
+    // Preview and apply
+    // ============================================
+
+    /**
+     * Render what an import plan will do
+     * @param {Object} plan - Plan from createPlan()
+     */
+    renderPreview(plan) {
+        const previewEl = document.getElementById('backupPreview');
+        const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+        const added = [
+            ...plan.folders.filter(f => f.action === 'add').map(f => `📁 ${f.folder.name}`),
+            ...plan.smartFolders.filter(f => f.action === 'add').map(f => `🔍 ${f.smartFolder.name}`),
+            ...plan.pages.filter(p => p.action === 'add').map(p => p.page.title)
+        ];
+        const updated = [
+            ...plan.folders.filter(f => f.action === 'update').map(f => `📁 ${f.folder.name}`),
+            ...plan.smartFolders.filter(f => f.action === 'update').map(f => `🔍 ${f.smartFolder.name}`),
+            ...plan.pages.filter(p => p.action === 'update').map(p => p.page.title)
+        ];
+        const conflicts = plan.pages.filter(p => p.conflictCopy).map(p => p.conflictCopy.title);
+        const trashed = [
+            ...plan.trash.folders.map(f => `📁 ${f.name}`),
+            ...plan.trash.pages.map(p => p.title)
+        ];
+        const removed = plan.removed.smartFolders.map(f => `🔍 ${f.name}`);
+        const skipped = plan.skipped.map(s => `${s.name} — ${s.reason}`);
+
+        let html = `<p class="import-summary">${plural(added.length, 'item')} added, ${updated.length} updated, ` +
+            `${conflicts.length} conflict ${conflicts.length === 1 ? 'copy' : 'copies'}, ` +
+            `${trashed.length} moved to Trash, ${removed.length ? `${removed.length} removed, ` : ''}${skipped.length} skipped.</p>`;
+
+        if (plan.mode === 'replace') {
+            html += `<p class="import-summary">${plan.settings ? 'Settings will be replaced.' : 'Settings are kept.'}</p>`;
+        }
+
+        html += this.renderList('Added', added);
+        html += this.renderList('Updated', updated);
+        html += this.renderList('Conflict copies (the older edit of a page changed on both sides)', conflicts);
+        html += this.renderList('Moved to Trash (not in the backup)', trashed);
+        html += this.renderList('Smart folders removed (not in the backup)', removed);
+        html += this.renderList('Skipped', skipped);
+
+        previewEl.innerHTML = html;
+    },
+
+    /**
+     * Render one section of the preview
+     * @param {string} heading - Section heading
+     * @param {Array} names - Item names
+     * @returns {string} HTML
+     */
+    renderList(heading, names) {
+        if (names.length === 0) return '';
+
+        let html = `<h4>${this.escapeHtml(heading)} (${names.length})</h4><ul class="import-list">`;
+        names.slice(0, this.PREVIEW_LIMIT).forEach(name => {
+            html += `<li>${this.escapeHtml(name)}</li>`;
+        });
+        if (names.length > this.PREVIEW_LIMIT) {
+            html += `<li>…and ${names.length - this.PREVIEW_LIMIT} more</li>`;
+        }
+        return html + '</ul>';
+    },
+
+    /**
+     * Write an import plan to storage
+     * @param {Object} plan - Plan from createPlan()
+     */
+    apply(plan) {
+        if (!plan) return;
+
+        plan.folders.forEach(({ folder }) => {
+            Storage.saveFolder({ ...folder });
+        });
+
+        plan.smartFolders.forEach(({ smartFolder }) => {
+            Storage.saveSmartFolder({ ...smartFolder });
+        });
+
+        plan.pages.forEach(({ action, page, conflictCopy }) => {
+            if (action === 'update') {
+                // The replaced content stays available in version history
+                const local = Storage.getPage(page.id);
+                if (local && !conflictCopy) {
+                    Versions.snapshot(local, 'Before import');
+                }
+            }
+            Storage.savePage({ ...page }, { keepTimestamps: true });
+
+            if (conflictCopy) {
+                Storage.savePage({ ...conflictCopy }, { keepTimestamps: true });
+            }
+        });
+
+        plan.trash.pages.forEach(page => Storage.deletePage(page.id));
+        plan.trash.folders.forEach(folder => Storage.deleteFolder(folder.id));
+        plan.removed.smartFolders.forEach(smartFolder => Storage.deleteSmartFolder(smartFolder.id));
+
+        if (plan.settings) {
+            Storage.saveSettings(plan.settings);
+        }
+
+        Sidebar.render();
+
+        if (App.currentPageId && Storage.getPage(App.currentPageId)) {
+            App.openPage(App.currentPageId);
+        } else if (App.currentPageId) {
+            App.closePage();
+        }
+    },
+
+    /**
+     * Escape HTML special characters
+     * @param {string} str - String to escape
+     * @returns {string} Escaped string
+     */
+    escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+};
@@ -0,0 +1,309 @@
+/**
+ * Database Module - IndexedDB persistence with a localStorage fallback
+ * Used by Storage; other modules should go through Storage instead
+ */
+
+const Database = {
+    NAME: 'mononote',
+    VERSION: 4,
+    FALLBACK_PREFIX: 'notionlite_db_',
+
+    // Object stores, their key paths and indexed fields
+    STORES: {
+        pages: { keyPath: 'id' },
+        folders: { keyPath: 'id' },
+        smartFolders: { keyPath: 'id' },
+        settings: { keyPath: 'key' },
+        voiceMemos: { keyPath: 'id' },
+        versions: { keyPath: 'id', indexes: ['pageId'] },
+        backups: { keyPath: 'id' }
+    },
+
+    db: null,
+
+    // Set by Vault while unlocked: { seal(store, record), open(store, record) }, both async
+    cipher: null,
+
+    // Writes run one at a time, so records sealed asynchronously are still committed in order
+    queue: Promise.resolve(),
+    commitListeners: [],
+
+    /**
+     * Open the database, creating object stores on first run.
+     * Falls back to localStorage when IndexedDB is unavailable.
+     * @returns {Promise<boolean>} True if IndexedDB is in use
+     */
+    open() {
+        if (typeof indexedDB === 'undefined') {
+            console.warn('IndexedDB not available, using localStorage');
+            return Promise.resolve(false);
+        }
+
+        return new Promise((resolve) => {
+            let request;
+            try {
+                request = indexedDB.open(this.NAME, this.VERSION);
+            } catch (e) {
+                console.warn('IndexedDB open failed, using localStorage:', e);
+                resolve(false);
+                return;
+            }
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.entries(this.STORES).forEach(([name, config]) => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        const store = db.createObjectStore(name, { keyPath: config.keyPath });
+                        (config.indexes || []).forEach(field => {
+                            store.createIndex(field, field);
+                        });
+                    }
+                });
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(true);
+            };
+
+            request.onerror = () => {
+                console.warn('IndexedDB open failed, using localStorage:', request.error);
+                resolve(false);
+            };
+        });
+    },
+
+    /**
+     * Get all records in a store
+     * @param {string} store - Store name
+     * @returns {Promise<Array>} Records
+     */
+    getAll(store) {
+        if (!this.db) {
+            return this.openRecords(store, Object.values(this.readFallback(store)));
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction(store, 'readonly').objectStore(store).getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).then(records => this.openRecords(store, records));
+    },
+
+    /**
+     * Get all records whose indexed field equals a value
+     * @param {string} store - Store name
+     * @param {string} index - Indexed field name
+     * @param {*} value - Value to match
+     * @returns {Promise<Array>} Records
+     */
+    getAllByIndex(store, index, value) {
+        if (!this.db) {
+            return this.openRecords(
+                store,
+                Object.values(this.readFallback(store)).filter(record => record[index] === value)
+            );
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction(store, 'readonly').objectStore(store).index(index).getAll(value);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).then(records => this.openRecords(store, records));
+    },
+
+    /**
+     * Get a single record by key
+     * @param {string} store - Store name
+     * @param {string} key - Record key
+     * @returns {Promise<Object|null>} Record or null
+     */
+    get(store, key) {
+        if (!this.db) {
+            return this.openRecords(store, [this.readFallback(store)[key] || null]).then(([record]) => record);
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = this.db.transaction(store, 'readonly').objectStore(store).get(key);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        }).then(record => this.openRecords(store, [record])).then(([record]) => record);
+    },
+
+    /**
+     * Apply a batch of writes in a single transaction
+     * @param {Array} ops - Operations: { store, put: record } | { store, delete: key } | { store, clear: true }
+     * @returns {Promise} Resolves once the batch is committed
+     */
+    commit(ops) {
+        if (ops.length === 0) return Promise.resolve();
+        return this.enqueue(() => this.write(ops));
+    },
+
+    /**
+     * Re-write every record under a new cipher (or none), e.g. when the vault
+     * passphrase changes. Runs in the write queue so no other write interleaves.
+     * @param {Object|null} cipher - Cipher to use from now on
+     * @param {Array} extraOps - Operations to commit along with the records
+     * @returns {Promise} Resolves once everything is committed
+     */
+    reseal(cipher, extraOps) {
+        return this.enqueue(async () => {
+            const ops = [];
+            for (const store of Object.keys(this.STORES)) {
+                const records = await this.getAll(store);
+                records.forEach(record => ops.push({ store: store, put: record }));
+            }
+
+            this.cipher = cipher;
+            await this.write([...ops, ...extraOps]);
+        });
+    },
+
+    /**
+     * Wait until all queued writes are committed
+     * @returns {Promise} Resolves when the queue is empty
+     */
+    flush() {
+        return this.queue;
+    },
+
+    /**
+     * Add a task to the write queue
+     * @param {Function} task - Async task
+     * @returns {Promise} Resolves or rejects with the task
+     */
+    enqueue(task) {
+        const result = this.queue.then(task);
+        this.queue = result.catch(() => {});
+        return result;
+    },
+
+    /**
+     * Seal records for the cipher, then write them
+     * @param {Array} ops - Operations, as for commit()
+     * @returns {Promise} Resolves once the batch is committed
+     */
+    async write(ops) {
+        const changes = ops.map(op => ({ store: op.store, key: this.getKey(op) }));
+
+        if (this.cipher) {
+            ops = await Promise.all(ops.map(async op =>
+                op.put ? { ...op, put: await this.cipher.seal(op.store, op.put) } : op
+            ));
+        }
+
+        if (this.db) {
+            await this.writeRecords(ops);
+        } else {
+            this.commitFallback(ops);
+        }
+
+        this.commitListeners.forEach(callback => {
+            try {
+                callback(changes);
+            } catch (e) {
+                console.error('Commit listener failed:', e);
+            }
+        });
+    },
+
+    /**
+     * Write a batch of operations in a single IndexedDB transaction
+     * @param {Array} ops - Operations, as for commit(), already sealed
+     * @returns {Promise} Resolves once the transaction completes
+     */
+    writeRecords(ops) {
+        const storeNames = [...new Set(ops.map(op => op.store))];
+
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeNames, 'readwrite');
+
+            ops.forEach(op => {
+                const store = tx.objectStore(op.store);
+                if (op.clear) {
+                    store.clear();
+                } else if (op.put) {
+                    store.put(op.put);
+                } else if (op.delete !== undefined) {
+                    store.delete(op.delete);
+                }
+            });
+
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    /**
+     * Get the key of the record an operation writes
+     * @param {Object} op - Operation, as for commit()
+     * @returns {string|null} Record key, or null when the operation clears the store
+     */
+    getKey(op) {
+        if (op.clear) return null;
+        return op.put ? op.put[this.STORES[op.store].keyPath] : op.delete;
+    },
+
+    /**
+     * Register a callback for committed writes, e.g. to tell other tabs
+     * @param {Function} callback - Called with the changed records: [{ store, key }]; key is null when a store was cleared
+     */
+    onCommit(callback) {
+        this.commitListeners.push(callback);
+    },
+
+    /**
+     * Decrypt records read from a store, if the vault is unlocked
+     * @param {string} store - Store name
+     * @param {Array} records - Records as stored
+     * @returns {Promise<Array>} Readable records
+     */
+    openRecords(store, records) {
+        if (!this.cipher) return Promise.resolve(records);
+        return Promise.all(records.map(record => record ? this.cipher.open(store, record) : record));
+    },
+
+    // ============================================
+    // localStorage fallback
+    // ============================================
+
+    /**
+     * Read a fallback store (records keyed by their key path)
+     * @param {string} store - Store name
+     * @returns {Object} Records by key
+     */
+    readFallback(store) {
+        const data = localStorage.getItem(this.FALLBACK_PREFIX + store);
+        return data ? JSON.parse(data) : {};
+    },
+
+    /**
+     * Apply a batch of writes to the fallback stores
+     * @param {Array} ops - Operations, as for commit()
+     */
+    commitFallback(ops) {
+        const touched = {};
+
+        ops.forEach(op => {
+            if (!touched[op.store]) {
+                touched[op.store] = this.readFallback(op.store);
+            }
+            const records = touched[op.store];
+            const keyPath = this.STORES[op.store].keyPath;
+
+            if (op.clear) {
+                touched[op.store] = {};
+            } else if (op.put) {
+                records[op.put[keyPath]] = op.put;
+            } else if (op.delete !== undefined) {
+                delete records[op.delete];
+            }
+        });
+
+        Object.entries(touched).forEach(([store, records]) => {
+            localStorage.setItem(this.FALLBACK_PREFIX + store, JSON.stringify(records));
+        });
+    }
+};
@@ -11,6 +11,8 @@ const Editor = {
     currentBlockIndex: -1,
     saveTimeout: null,
     selectedBlocks: new Set(), // Track selected block indices
+    base: null, // { title, content, updatedAt } of the stored page the editor content started from
+    titleBeforeEdit: null, // Stored title when the title input got focus
 
     /**
      * Initialize the editor
@@ -47,6 +49,23 @@ const Editor = {
             this.debouncedSave();
         });
 
+        // Remember the title before typing, so links can follow the rename once it's done
+        this.titleInput.addEventListener('focus', () => {
+            const page = Storage.getPage(App.currentPageId);
+            this.titleBeforeEdit = page ? page.title : null;
+        });
+
+        this.titleInput.addEventListener('change', () => {
+            const oldTitle = this.titleBeforeEdit;
+            this.save();
+
+            const page = Storage.getPage(App.currentPageId);
+            if (page && oldTitle && page.title !== oldTitle) {
+                this.titleBeforeEdit = page.title;
+                Linking.confirmRelink(page.id, oldTitle, page.title);
+            }
+        });
+
         // Title Enter key - move to first block
         this.titleInput.addEventListener('keydown', (e) => {
             if (e.key === 'Enter') {
@@ -66,12 +85,34 @@ const Editor = {
     loadPage(page) {
         this.titleInput.value = page.title || '';
         this.blocks = [];
+        this.currentBlockIndex = -1;
         this.selectedBlocks.clear(); // Clear any previous selection
         this.blockEditor.innerHTML = '';
+        this.blocks = this.parseBlocks(page.content).map(content => ({ content: content }));
+
+        // Render all blocks
+        this.renderAllBlocks();
+        this.setBase(page);
 
-        // Parse content into blocks (split by newlines)
-        const content = page.content || '';
-        const lines = content.split('\n');
+        // Show editor, hide welcome
+        document.getElementById('welcomeScreen').classList.add('hidden');
+        document.getElementById('editorWrapper').classList.remove('hidden');
+
+        // Load voice memos
+        Voice.loadMemos(page);
+
+        // Update backlinks
+        Linking.updateBacklinks(page.id);
+    },
+
+    /**
+     * Split page content into blocks the way the editor shows them
+     * @param {string} content - Page content
+     * @returns {Array} Block contents (at least one)
+     */
+    parseBlocks(content) {
+        const lines = (content || '').split('\n');
+        const blocks = [];
 
         // Group lines into logical blocks
         let blockLines = [];
@@ -83,29 +124,100 @@ const Editor = {
             if (line === '' || i === lines.length - 1) {
                 const blockContent = blockLines.join('\n').trim();
                 if (blockContent || i === lines.length - 1) {
-                    this.blocks.push({ content: blockContent });
+                    blocks.push(blockContent);
                 }
                 blockLines = [];
             }
         }
 
         // Ensure at least one block
-        if (this.blocks.length === 0) {
-            this.blocks.push({ content: '' });
+        if (blocks.length === 0) {
+            blocks.push('');
         }
 
-        // Render all blocks
-        this.renderAllBlocks();
+        return blocks;
+    },
 
-        // Show editor, hide welcome
-        document.getElementById('welcomeScreen').classList.add('hidden');
-        document.getElementById('editorWrapper').classList.remove('hidden');
+    /**
+     * Scroll to a block and highlight it briefly
+     * @param {number} index - Block index
+     */
+    revealBlock(index) {
+        const blockEl = this.blockEditor.querySelector(`[data-index="${index}"]`);
+        if (!blockEl) return;
 
-        // Load voice memos
-        Voice.loadMemos(page);
+        blockEl.scrollIntoView({ block: 'center' });
+        blockEl.classList.add('revealed');
+        setTimeout(() => {
+            blockEl.classList.remove('revealed');
+        }, 2000);
+    },
 
-        // Update backlinks
-        Linking.updateBacklinks(page.id);
+    /**
+     * Find the block that contains a heading
+     * @param {string} heading - Heading text; case and extra spaces are ignored
+     * @returns {number} Block index, or -1
+     */
+    findHeading(heading) {
+        const normalize = text => text.toLowerCase().replace(/\s+/g, ' ').trim();
+        const wanted = normalize(heading);
+        return this.blocks.findIndex(block => Linking.getHeadings(block.content).some(text => normalize(text) === wanted));
+    },
+
+    /**
+     * Find a block by its ID
+     * @param {string} blockId - Block ID
+     * @returns {number} Block index, or -1
+     */
+    findBlock(blockId) {
+        return this.blocks.findIndex(block => Linking.getBlockId(block.content) === blockId);
+    },
+
+    /**
+     * Copy a [[link]] to a block, giving the block an ID first if it has none
+     * @param {number} index - Block index
+     * @param {HTMLElement} btn - Button to show the result on
+     */
+    copyBlockLink(index, btn) {
+        const block = this.blocks[index];
+        let blockId = Linking.getBlockId(block.content);
+
+        if (!blockId) {
+            blockId = Linking.createBlockId(this.getContent());
+            block.content = `${block.content.trimEnd()} ^${blockId}`;
+            this.save();
+        }
+
+        const link = `[[${this.getTitle() || 'Untitled'}^${blockId}]]`;
+        // The clipboard API is missing on file:// pages in some browsers
+        const copied = navigator.clipboard ? navigator.clipboard.writeText(link) : Promise.reject();
+        copied.then(() => {
+            btn.textContent = '✓';
+            setTimeout(() => {
+                btn.textContent = '🔗';
+            }, 1500);
+        }).catch(() => {
+            prompt('Copy this link:', link);
+        });
+    },
+
+    /**
+     * Render a block's content: tags, links and markdown. The block ID at the end is hidden.
+     * @param {HTMLElement} rendered - Element to render into
+     * @param {Object} block - Block data
+     */
+    renderBlockContent(rendered, block) {
+        const content = Linking.stripBlockId(block.content);
+
+        if (content.trim() === '') {
+            rendered.classList.add('empty');
+        } else {
+            // Process tags and links and render markdown
+            const processedContent = Linking.processLinks(Tags.processTags(content));
+            rendered.innerHTML = this.renderMarkdown(processedContent);
+            Linking.bindLinkClicks(rendered);
+            Tags.bindTagClicks(rendered);
+        }
     },
 
     /**
@@ -170,20 +282,23 @@ const Editor = {
         const rendered = document.createElement('div');
         rendered.className = 'block-rendered';
 
-        if (block.content.trim() === '') {
-            rendered.classList.add('empty');
-        } else {
-            // Process links and render markdown
-            const processedContent = Linking.processLinks(block.content);
-            rendered.innerHTML = this.renderMarkdown(processedContent);
-            Linking.bindLinkClicks(rendered);
-        }
+        this.renderBlockContent(rendered, block);
 
         // Click to edit
         rendered.addEventListener('click', () => {
             this.editBlock(index);
         });
 
+        // Copy link button
+        const linkBtn = document.createElement('button');
+        linkBtn.className = 'block-link-btn';
+        linkBtn.textContent = '🔗';
+        linkBtn.title = 'Copy link to block';
+        linkBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.copyBlockLink(index, linkBtn);
+        });
+
         // Delete button
         const deleteBtn = document.createElement('button');
         deleteBtn.className = 'block-delete-btn';
@@ -198,6 +313,7 @@ const Editor = {
         item.appendChild(checkbox);
         item.appendChild(handle);
         item.appendChild(content);
+        item.appendChild(linkBtn);
         item.appendChild(deleteBtn);
 
         return item;
@@ -252,6 +368,15 @@ const Editor = {
     deleteSelectedBlocks() {
         if (this.selectedBlocks.size === 0) return;
 
+        // Keep the page as it was in version history
+        const page = Storage.getPage(App.currentPageId);
+        if (page) {
+            page.title = this.titleInput.value || 'Untitled';
+            page.content = this.getContent();
+            const count = this.selectedBlocks.size;
+            Versions.snapshot(page, `Before deleting ${count} block${count === 1 ? '' : 's'}`);
+        }
+
         // Convert to array and sort descending to delete from end first
         const indices = Array.from(this.selectedBlocks).sort((a, b) => b - a);
 
@@ -318,6 +443,9 @@ const Editor = {
         input.value = block.content;
         input.placeholder = "Type '/' for commands, or start typing...";
 
+        // [[ link suggestions handle their keys before the editor does
+        Autocomplete.attach(input);
+
         // Auto-resize
         const autoResize = () => {
             input.style.height = 'auto';
@@ -416,13 +544,7 @@ const Editor = {
                 const rendered = document.createElement('div');
                 rendered.className = 'block-rendered';
 
-                if (block.content.trim() === '') {
-                    rendered.classList.add('empty');
-                } else {
-                    const processedContent = Linking.processLinks(block.content);
-                    rendered.innerHTML = this.renderMarkdown(processedContent);
-                    Linking.bindLinkClicks(rendered);
-                }
+                this.renderBlockContent(rendered, block);
 
                 rendered.addEventListener('click', () => {
                     this.editBlock(index);
@@ -515,7 +637,7 @@ const Editor = {
      * Save the current page
      */
     save() {
-        if (!App.currentPageId) return;
+        if (!App.currentPageId || Sync.hasConflict(App.currentPageId)) return;
 
         const page = Storage.getPage(App.currentPageId);
         if (!page) return;
@@ -528,11 +650,32 @@ const Editor = {
             .join('\n\n');
 
         Storage.savePage(page);
+        this.setBase(page);
 
         // Update sidebar
         Sidebar.render();
     },
 
+    /**
+     * Remember which stored version of the page the editor content is based on
+     * @param {Object} page - Stored page
+     */
+    setBase(page) {
+        this.base = {
+            title: this.getTitle() || 'Untitled',
+            content: this.getContent(),
+            updatedAt: page.updatedAt
+        };
+    },
+
+    /**
+     * Check for edits that are not saved yet
+     * @returns {boolean} True if the title or content changed since the page was loaded or saved
+     */
+    isDirty() {
+        return !!this.base && ((this.getTitle() || 'Untitled') !== this.base.title || this.getContent() !== this.base.content);
+    },
+
     /**
      * Get the current editor content
      * @returns {string} Editor content
@@ -0,0 +1,224 @@
+/**
+ * Exporter Module - Export the workspace as a Markdown folder archive
+ * Folders become directories, pages become Title.md with YAML front-matter
+ */
+
+const Exporter = {
+    /**
+     * Export all pages, folders and voice memos as a .zip download
+     */
+    exportMarkdown() {
+        const files = [];
+        const pageFiles = new Map();
+        this.addFolderFiles(null, '', files, pageFiles);
+
+        // Pages are written once every page has its file name, so links can point at renamed files
+        const nameCounts = new Map();
+        pageFiles.forEach(({ name }) => {
+            nameCounts.set(name.toLowerCase(), (nameCounts.get(name.toLowerCase()) || 0) + 1);
+        });
+        pageFiles.forEach(({ page, name, entry }) => {
+            entry.data = this.pageToMarkdown(page, name, pageFiles, nameCounts);
+        });
+
+        const blob = Zip.create(files);
+        const date = new Date().toISOString().slice(0, 10);
+        this.download(blob, `MonoNote-${date}.zip`);
+    },
+
+    /**
+     * Add the files for one folder level (recursing into child folders)
+     * @param {string|null} folderId - Folder ID or null for root
+     * @param {string} dir - Archive path of the folder, ending in '/'
+     * @param {Array} files - Zip entries to append to
+     * @param {Map} pageFiles - Page ID -> { page, name, path, entry }, filled in as pages are added
+     */
+    addFolderFiles(folderId, dir, files, pageFiles) {
+        const usedNames = new Set();
+
+        Storage.getChildFolders(folderId).forEach(folder => {
+            const name = this.uniqueName(this.safeName(folder.name), '/', usedNames);
+            const path = dir + name + '/';
+            files.push({ path: path, date: this.toDate(folder.createdAt) });
+            this.addFolderFiles(folder.id, path, files, pageFiles);
+        });
+
+        Storage.getPagesByFolder(folderId).forEach(page => {
+            this.addPageFiles(page, dir, usedNames, files, pageFiles);
+        });
+    },
+
+    /**
+     * Add a page's Markdown file and its voice memos. The Markdown is filled in later.
+     * @param {Object} page - Page object
+     * @param {string} dir - Archive path of the containing folder
+     * @param {Set} usedNames - File names already taken in this folder
+     * @param {Array} files - Zip entries to append to
+     * @param {Map} pageFiles - Page ID -> { page, name, path, entry }
+     */
+    addPageFiles(page, dir, usedNames, files, pageFiles) {
+        const title = page.title || 'Untitled';
+        const name = this.uniqueName(this.safeName(title), '.md', usedNames);
+        const entry = {
+            path: `${dir}${name}.md`,
+            data: '',
+            date: this.toDate(page.updatedAt)
+        };
+
+        files.push(entry);
+        pageFiles.set(page.id, { page: page, name: name, path: dir + name, entry: entry });
+
+        (page.voiceMemos || []).forEach((memo, i) => {
+            const audio = this.dataUrlToBytes(memo.audio);
+            const ext = audio ? this.audioExtension(audio.type) : 'txt';
+            const memoName = this.uniqueName(`${name} - Voice Memo ${i + 1}`, '.' + ext, usedNames);
+            const date = this.toDate(memo.createdAt);
+
+            if (audio) {
+                files.push({ path: `${dir}${memoName}.${ext}`, data: audio.bytes, date: date });
+            }
+            if (memo.transcript) {
+                usedNames.add(`${memoName}.txt`.toLowerCase());
+                files.push({ path: `${dir}${memoName}.txt`, data: memo.transcript + '\n', date: date });
+            }
+        });
+    },
+
+    /**
+     * Convert a page to Markdown with YAML front-matter.
+     * Content is written as is, apart from links to pages whose file name isn't their title.
+     * @param {Object} page - Page object
+     * @param {string} fileName - File name used for the page (without .md)
+     * @param {Map} pageFiles - Page ID -> { page, name, path, entry } for every exported page
+     * @param {Map} nameCounts - Lower-cased file name -> number of pages exported under it
+     * @returns {string} Markdown text
+     */
+    pageToMarkdown(page, fileName, pageFiles, nameCounts) {
+        const lines = ['---', `id: ${page.id}`];
+
+        // The file name is the title unless it had to be changed
+        if (fileName !== page.title) {
+            lines.push(`title: ${JSON.stringify(page.title || 'Untitled')}`);
+        }
+        if (page.createdAt) lines.push(`createdAt: ${page.createdAt}`);
+        if (page.updatedAt) lines.push(`updatedAt: ${page.updatedAt}`);
+
+        lines.push('---', '');
+        return lines.join('\n') + '\n' + this.rewriteLinks(page.content || '', pageFiles, nameCounts) + '\n';
+    },
+
+    /**
+     * Point [[links]] at the file of the page they link to when the title alone wouldn't find it:
+     * the file name was made safe or numbered, or another page has the same file name.
+     * Such links become [[File name#heading|text as written]], using the archive path when the name is taken twice.
+     * @param {string} content - Markdown content
+     * @param {Map} pageFiles - Page ID -> { page, name, path, entry }
+     * @param {Map} nameCounts - Lower-cased file name -> number of pages exported under it
+     * @returns {string} Content with rewritten links
+     */
+    rewriteLinks(content, pageFiles, nameCounts) {
+        return content.replace(Linking.linkPattern, (match, inner) => {
+            const link = Linking.parseLink(inner);
+            const target = Linking.findPageByTitle(link.target);
+            const file = target && pageFiles.get(target.id);
+            if (!file) return match;
+
+            const shared = nameCounts.get(file.name.toLowerCase()) > 1;
+            const destination = shared ? file.path : file.name;
+            if ((file.name === target.title && !shared) || destination === link.target) return match;
+
+            const path = inner.split('|')[0].trim();
+            const anchor = link.heading || link.blockId ? path.slice(path.search(/[#^]/)) : '';
+            return `[[${destination}${anchor}|${link.alias || path}]]`;
+        });
+    },
+
+    /**
+     * Make a title safe to use as a file or directory name
+     * @param {string} name - Title or folder name
+     * @returns {string} Safe name
+     */
+    safeName(name) {
+        const safe = (name || '')
+            .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '-')
+            .replace(/[. ]+$/, '')
+            .trim();
+        return safe || 'Untitled';
+    },
+
+    /**
+     * Pick a name that is not yet used in the folder, adding " (2)", " (3)"...
+     * @param {string} base - Preferred name
+     * @param {string} ext - Extension including the dot, or '/' for directories
+     * @param {Set} usedNames - Lower-cased names already taken; updated in place
+     * @returns {string} Unique name (without extension)
+     */
+    uniqueName(base, ext, usedNames) {
+        let name = base;
+        let n = 2;
+        while (usedNames.has((name + ext).toLowerCase())) {
+            name = `${base} (${n++})`;
+        }
+        usedNames.add((name + ext).toLowerCase());
+        return name;
+    },
+
+    /**
+     * Decode a base64 data URL
+     * @param {string} dataUrl - data:<type>;base64,<data>
+     * @returns {Object|null} { type, bytes } or null if not a data URL
+     */
+    dataUrlToBytes(dataUrl) {
+        const match = /^data:([^;,]*)[^,]*;base64,(.*)$/.exec(dataUrl || '');
+        if (!match) return null;
+
+        const binary = atob(match[2]);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return { type: match[1], bytes: bytes };
+    },
+
+    /**
+     * Get a file extension for an audio MIME type
+     * @param {string} type - MIME type
+     * @returns {string} Extension
+     */
+    audioExtension(type) {
+        const extensions = {
+            'audio/webm': 'webm',
+            'audio/ogg': 'ogg',
+            'audio/mp4': 'm4a',
+            'audio/mpeg': 'mp3',
+            'audio/wav': 'wav'
+        };
+        return extensions[type] || 'webm';
+    },
+
+    /**
+     * Parse a stored date, falling back to now
+     * @param {string} value - ISO date string
+     * @returns {Date} Date
+     */
+    toDate(value) {
+        const date = new Date(value);
+        return isNaN(date) ? new Date() : date;
+    },
+
+    /**
+     * Trigger a browser download
+     * @param {Blob} blob - File contents
+     * @param {string} fileName - Suggested file name
+     */
+    download(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+};
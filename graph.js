@@ -0,0 +1,642 @@
+/**
+ * Graph Module - Interactive graph of the links between pages
+ * Pages are nodes and [[links]] are edges, laid out by a small force
+ * simulation on a canvas. Supports zoom and pan, highlighting by search,
+ * colours per top-level folder, and a local graph around the open page.
+ */
+
+const Graph = {
+    COLORS: ['#5c7cfa', '#f783ac', '#51cf66', '#fcc419', '#ff922b', '#22b8cf', '#cc5de8', '#94d82d'],
+
+    // Force simulation
+    REPULSION: 400,
+    LINK_DISTANCE: 60,
+    SPRING: 0.05,
+    GRAVITY: 0.01,
+    FRICTION: 0.6,
+    ALPHA_DECAY: 0.985,
+    ALPHA_MIN: 0.005,
+
+    modal: null,
+    canvas: null,
+    ctx: null,
+    nodes: [],             // { id, page, label, folderId, unresolved, x, y, vx, vy, degree, fixed }
+    edges: [],             // { source, target } - node objects
+    neighbours: new Map(), // Node ID -> Set of node IDs it is linked with
+    positions: new Map(),  // Node ID -> { x, y }, kept when the graph is rebuilt
+    folderColors: new Map(),
+    view: { x: 0, y: 0, scale: 1 }, // Screen position of the graph origin, and zoom
+    alpha: 0,
+    frame: null,
+    hovered: null,
+    pointer: null,         // { node, x, y, moved } while a node or the background is dragged
+    options: { search: '', orphans: true, unresolved: false, local: false, depth: 1 },
+
+    /**
+     * Initialize the graph view
+     */
+    init() {
+        this.modal = document.getElementById('graphModal');
+        this.canvas = document.getElementById('graphCanvas');
+        this.ctx = this.canvas.getContext('2d');
+
+        const saved = Storage.getSettings().graph || {};
+        this.options.orphans = saved.orphans !== false;
+        this.options.unresolved = !!saved.unresolved;
+        this.options.depth = saved.depth || 1;
+
+        this.bindEvents();
+
+        // Follow edits while the graph is open
+        Storage.onPageChange(() => {
+            if (this.isVisible()) {
+                this.build();
+            }
+        });
+    },
+
+    /**
+     * Bind toolbar and canvas events
+     */
+    bindEvents() {
+        document.getElementById('graphSearchInput').addEventListener('input', (e) => {
+            this.options.search = Search.fold(e.target.value.trim());
+            this.draw();
+        });
+
+        ['graphOrphansInput', 'graphUnresolvedInput', 'graphLocalInput', 'graphDepthInput'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.readOptions();
+                this.build();
+            });
+        });
+
+        document.getElementById('closeGraphBtn').addEventListener('click', () => {
+            this.hide();
+        });
+
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.hide();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isVisible()) {
+                this.hide();
+            }
+        });
+
+        window.addEventListener('resize', () => {
+            if (this.isVisible()) {
+                this.resize();
+                this.draw();
+            }
+        });
+
+        this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.canvas.addEventListener('pointerleave', () => {
+            if (!this.pointer && this.hovered) {
+                this.hovered = null;
+                this.draw();
+            }
+        });
+        this.canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+    },
+
+    /**
+     * Open the graph
+     * @param {boolean} [local] - Show only the open page's neighbourhood
+     */
+    show(local = false) {
+        this.options.local = local && !!App.currentPageId;
+
+        document.getElementById('graphOrphansInput').checked = this.options.orphans;
+        document.getElementById('graphUnresolvedInput').checked = this.options.unresolved;
+        document.getElementById('graphLocalInput').checked = this.options.local;
+        document.getElementById('graphLocalInput').disabled = !App.currentPageId;
+        document.getElementById('graphDepthInput').value = this.options.depth;
+        document.getElementById('graphDepthInput').disabled = !this.options.local;
+
+        this.modal.classList.remove('hidden');
+        this.resize();
+        this.view = { x: this.width / 2, y: this.height / 2, scale: 1 };
+        this.build();
+    },
+
+    /**
+     * Close the graph
+     */
+    hide() {
+        this.modal.classList.add('hidden');
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+        this.pointer = null;
+    },
+
+    /**
+     * Check whether the graph is open
+     * @returns {boolean} True if open
+     */
+    isVisible() {
+        return !this.modal.classList.contains('hidden');
+    },
+
+    /**
+     * Read the toolbar options and remember them
+     */
+    readOptions() {
+        this.options.orphans = document.getElementById('graphOrphansInput').checked;
+        this.options.unresolved = document.getElementById('graphUnresolvedInput').checked;
+        this.options.local = document.getElementById('graphLocalInput').checked && !!App.currentPageId;
+        this.options.depth = Math.min(5, Math.max(1, parseInt(document.getElementById('graphDepthInput').value, 10) || 1));
+        document.getElementById('graphDepthInput').disabled = !this.options.local;
+
+        const settings = Storage.getSettings();
+        settings.graph = { orphans: this.options.orphans, unresolved: this.options.unresolved, depth: this.options.depth };
+        Storage.saveSettings(settings);
+    },
+
+    /**
+     * Size the canvas to its box, for sharp lines on high-DPI screens
+     */
+    resize() {
+        const rect = this.canvas.getBoundingClientRect();
+        const ratio = window.devicePixelRatio || 1;
+        this.width = rect.width;
+        this.height = rect.height;
+        this.canvas.width = Math.round(rect.width * ratio);
+        this.canvas.height = Math.round(rect.height * ratio);
+    },
+
+    // ============================================
+    // Data
+    // ============================================
+
+    /**
+     * Build the nodes and edges from the pages and their links, and restart the layout
+     */
+    build() {
+        const pages = Object.values(Storage.getAllPages());
+        const nodes = new Map();
+        const edges = [];
+        const seen = new Set();
+
+        pages.forEach(page => {
+            nodes.set(page.id, { id: page.id, page: page, label: page.title || 'Untitled', folderId: this.getTopFolderId(page.folderId), unresolved: false });
+        });
+
+        const addEdge = (source, target) => {
+            const key = source < target ? `${source}|${target}` : `${target}|${source}`;
+            if (source === target || seen.has(key)) return;
+            seen.add(key);
+            edges.push({ source: source, target: target });
+        };
+
+        pages.forEach(page => {
+            Linking.getOutgoingLinks(page.id).forEach(linked => {
+                addEdge(page.id, linked.id);
+            });
+            if (!this.options.unresolved) return;
+
+            Linking.getUnresolvedLinks(page.id).forEach(target => {
+                const id = `new:${target.toLowerCase()}`;
+                if (!nodes.has(id)) {
+                    nodes.set(id, { id: id, page: null, label: target, folderId: null, unresolved: true });
+                }
+                addEdge(page.id, id);
+            });
+        });
+
+        // Links count in both directions: a page's neighbours are what it links to and its backlinks
+        this.neighbours = new Map([...nodes.keys()].map(id => [id, new Set()]));
+        edges.forEach(edge => {
+            this.neighbours.get(edge.source).add(edge.target);
+            this.neighbours.get(edge.target).add(edge.source);
+        });
+
+        // The open page can be gone already, e.g. trashed in another tab before the editor closes it
+        if (this.options.local && !nodes.has(App.currentPageId)) {
+            this.options.local = false;
+            document.getElementById('graphLocalInput').checked = false;
+            document.getElementById('graphDepthInput').disabled = true;
+        }
+
+        let visible = [...nodes.keys()];
+        if (this.options.local) {
+            visible = [...this.getNeighbourhood(App.currentPageId, this.options.depth)].filter(id => nodes.has(id));
+        }
+        if (!this.options.orphans) {
+            visible = visible.filter(id => this.neighbours.get(id).size > 0 || (this.options.local && id === App.currentPageId));
+        }
+
+        const shown = new Set(visible);
+        this.nodes = visible.map(id => this.place(nodes.get(id)));
+        this.nodes.forEach(node => {
+            node.degree = [...this.neighbours.get(node.id)].filter(id => shown.has(id)).length;
+        });
+
+        const byId = new Map(this.nodes.map(node => [node.id, node]));
+        this.edges = edges
+            .filter(edge => shown.has(edge.source) && shown.has(edge.target))
+            .map(edge => ({ source: byId.get(edge.source), target: byId.get(edge.target) }));
+
+        this.assignColors();
+        this.renderLegend();
+        this.start();
+    },
+
+    /**
+     * Get the pages within some links of a page, in either direction
+     * @param {string} pageId - Page ID
+     * @param {number} depth - Number of hops
+     * @returns {Set} Node IDs, the page included
+     */
+    getNeighbourhood(pageId, depth) {
+        const found = new Set([pageId]);
+        let frontier = [pageId];
+
+        for (let hop = 0; hop < depth; hop++) {
+            frontier = frontier.flatMap(id => [...(this.neighbours.get(id) || [])]).filter(id => !found.has(id));
+            frontier.forEach(id => found.add(id));
+        }
+
+        return found;
+    },
+
+    /**
+     * Get the top-level folder a page is in, which picks its colour
+     * @param {string|null} folderId - Page's folder ID
+     * @returns {string|null} Top-level folder ID
+     */
+    getTopFolderId(folderId) {
+        return folderId ? (Storage.getFolderPath(folderId)[0] || {}).id || null : null;
+    },
+
+    /**
+     * Give a node its previous position, or a spot near a neighbour for new nodes
+     * @param {Object} node - Node
+     * @returns {Object} Node with x, y, vx, vy
+     */
+    place(node) {
+        const saved = this.positions.get(node.id);
+        const neighbour = [...this.neighbours.get(node.id)].map(id => this.positions.get(id)).find(Boolean);
+        const origin = saved || neighbour || { x: 0, y: 0 };
+        const spread = saved ? 0 : neighbour ? this.LINK_DISTANCE : Math.sqrt(this.positions.size + 1) * 20;
+        const angle = Math.random() * Math.PI * 2;
+
+        node.x = origin.x + Math.cos(angle) * spread * Math.random();
+        node.y = origin.y + Math.sin(angle) * spread * Math.random();
+        node.vx = 0;
+        node.vy = 0;
+        this.positions.set(node.id, node);
+        return node;
+    },
+
+    /**
+     * Pick a colour for each top-level folder that has pages in the graph
+     */
+    assignColors() {
+        const folderIds = [...new Set(this.nodes.map(node => node.folderId).filter(Boolean))];
+        const folders = folderIds.map(id => Storage.getFolder(id)).filter(Boolean)
+            .sort((a, b) => a.name.localeCompare(b.name));
+
+        this.folderColors = new Map(folders.map((folder, i) => [folder.id, this.COLORS[i % this.COLORS.length]]));
+    },
+
+    /**
+     * Show which colour belongs to which folder
+     */
+    renderLegend() {
+        const legend = document.getElementById('graphLegend');
+        legend.innerHTML = '';
+
+        this.folderColors.forEach((color, folderId) => {
+            const item = document.createElement('span');
+            item.className = 'graph-legend-item';
+            item.innerHTML = `<span class="graph-legend-dot" style="background: ${color}"></span>${this.escapeHtml(Storage.getFolder(folderId).name)}`;
+            legend.appendChild(item);
+        });
+
+        const pages = this.nodes.filter(node => !node.unresolved).length;
+        const unresolved = this.nodes.length - pages;
+        document.getElementById('graphCount').textContent =
+            `${pages} page${pages === 1 ? '' : 's'}${unresolved ? ` + ${unresolved} unresolved` : ''} · ${this.edges.length} link${this.edges.length === 1 ? '' : 's'}`;
+    },
+
+    // ============================================
+    // Layout
+    // ============================================
+
+    /**
+     * (Re)start the simulation
+     * @param {number} [alpha] - How much the nodes may still move, 1 for a fresh layout
+     */
+    start(alpha = 1) {
+        this.alpha = Math.max(this.alpha, alpha);
+        if (!this.frame) {
+            this.frame = requestAnimationFrame(() => this.step());
+        }
+    },
+
+    /**
+     * Advance the simulation one frame and draw it
+     */
+    step() {
+        this.frame = null;
+        this.tick();
+        this.draw();
+
+        if (this.alpha > this.ALPHA_MIN && this.isVisible()) {
+            this.frame = requestAnimationFrame(() => this.step());
+        }
+    },
+
+    /**
+     * Move the nodes: they push each other apart, links pull them together, and gravity keeps them centred
+     */
+    tick() {
+        const nodes = this.nodes;
+        const alpha = this.alpha;
+
+        for (let i = 0; i < nodes.length; i++) {
+            const a = nodes[i];
+            for (let j = i + 1; j < nodes.length; j++) {
+                const b = nodes[j];
+                let dx = b.x - a.x;
+                let dy = b.y - a.y;
+                let distance2 = dx * dx + dy * dy;
+                if (distance2 > 250000) continue;
+                if (distance2 < 1) {
+                    dx = Math.random() - 0.5;
+                    dy = Math.random() - 0.5;
+                    distance2 = 1;
+                }
+                const force = this.REPULSION * alpha / distance2;
+                a.vx -= dx * force;
+                a.vy -= dy * force;
+                b.vx += dx * force;
+                b.vy += dy * force;
+            }
+        }
+
+        this.edges.forEach(({ source, target }) => {
+            const dx = target.x - source.x;
+            const dy = target.y - source.y;
+            const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+            const force = (distance - this.LINK_DISTANCE) * this.SPRING * alpha / distance;
+            source.vx += dx * force;
+            source.vy += dy * force;
+            target.vx -= dx * force;
+            target.vy -= dy * force;
+        });
+
+        nodes.forEach(node => {
+            node.vx -= node.x * this.GRAVITY * alpha;
+            node.vy -= node.y * this.GRAVITY * alpha;
+            node.vx *= this.FRICTION;
+            node.vy *= this.FRICTION;
+            if (!node.fixed) {
+                node.x += node.vx;
+                node.y += node.vy;
+            }
+        });
+
+        this.alpha *= this.ALPHA_DECAY;
+    },
+
+    // ============================================
+    // Drawing
+    // ============================================
+
+    /**
+     * Get a node's radius; linked pages are bigger
+     * @param {Object} node - Node
+     * @returns {number} Radius in graph units
+     */
+    getRadius(node) {
+        return 4 + Math.sqrt(node.degree) * 2;
+    },
+
+    /**
+     * Draw the graph
+     */
+    draw() {
+        const ctx = this.ctx;
+        const ratio = window.devicePixelRatio || 1;
+        const style = getComputedStyle(document.documentElement);
+        const textColor = style.getPropertyValue('--text-primary').trim();
+        const mutedColor = style.getPropertyValue('--text-muted').trim();
+        const lineColor = style.getPropertyValue('--border-light').trim() || mutedColor;
+        const { x, y, scale } = this.view;
+
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, this.width, this.height);
+        ctx.setTransform(ratio * scale, 0, 0, ratio * scale, ratio * x, ratio * y);
+
+        // A hovered node brings out its neighbours; a search brings out its matches
+        const focus = this.hovered ? new Set([this.hovered.id, ...this.neighbours.get(this.hovered.id)]) : null;
+        const isMatch = node => !!this.options.search && Search.fold(node.label).includes(this.options.search);
+        const isDimmed = node => (focus && !focus.has(node.id)) || (!!this.options.search && !isMatch(node));
+
+        ctx.lineWidth = 1 / scale;
+        this.edges.forEach(({ source, target }) => {
+            const highlighted = focus && focus.has(source.id) && focus.has(target.id) && (source === this.hovered || target === this.hovered);
+            ctx.globalAlpha = isDimmed(source) || isDimmed(target) ? 0.15 : 1;
+            ctx.strokeStyle = highlighted ? textColor : lineColor;
+            ctx.beginPath();
+            ctx.moveTo(source.x, source.y);
+            ctx.lineTo(target.x, target.y);
+            ctx.stroke();
+        });
+
+        ctx.font = `${12 / scale}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+
+        this.nodes.forEach(node => {
+            const radius = this.getRadius(node);
+            const color = node.unresolved ? mutedColor : this.folderColors.get(node.folderId) || mutedColor;
+            ctx.globalAlpha = isDimmed(node) ? 0.15 : 1;
+
+            ctx.beginPath();
+            ctx.arc(node.x, node.y, radius, 0, Math.PI * 2);
+            if (node.unresolved) {
+                ctx.setLineDash([2 / scale, 2 / scale]);
+                ctx.strokeStyle = color;
+                ctx.stroke();
+                ctx.setLineDash([]);
+            } else {
+                ctx.fillStyle = color;
+                ctx.fill();
+            }
+
+            if (node.id === App.currentPageId || isMatch(node)) {
+                ctx.lineWidth = 2 / scale;
+                ctx.strokeStyle = textColor;
+                ctx.beginPath();
+                ctx.arc(node.x, node.y, radius + 3 / scale, 0, Math.PI * 2);
+                ctx.stroke();
+                ctx.lineWidth = 1 / scale;
+            }
+
+            // Labels appear when zoomed in, and always for the nodes in focus
+            if (scale >= 0.8 || node === this.hovered || isMatch(node) || node.id === App.currentPageId) {
+                ctx.fillStyle = node.unresolved ? mutedColor : textColor;
+                ctx.fillText(node.label, node.x, node.y + radius + 3 / scale);
+            }
+        });
+
+        ctx.globalAlpha = 1;
+    },
+
+    // ============================================
+    // Interaction
+    // ============================================
+
+    /**
+     * Convert a pointer position to graph coordinates
+     * @param {PointerEvent|WheelEvent} e - Event
+     * @returns {Object} { x, y, screenX, screenY }
+     */
+    getPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const screenX = e.clientX - rect.left;
+        const screenY = e.clientY - rect.top;
+        return {
+            x: (screenX - this.view.x) / this.view.scale,
+            y: (screenY - this.view.y) / this.view.scale,
+            screenX: screenX,
+            screenY: screenY
+        };
+    },
+
+    /**
+     * Find the node under a point
+     * @param {Object} point - Graph coordinates
+     * @returns {Object|null} Node
+     */
+    findNode(point) {
+        // Topmost first, with a few pixels of slack for small nodes
+        for (let i = this.nodes.length - 1; i >= 0; i--) {
+            const node = this.nodes[i];
+            const radius = this.getRadius(node) + 3 / this.view.scale;
+            if ((node.x - point.x) ** 2 + (node.y - point.y) ** 2 <= radius * radius) {
+                return node;
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Start dragging a node, or the whole graph
+     * @param {PointerEvent} e - Event
+     */
+    handlePointerDown(e) {
+        const point = this.getPoint(e);
+        const node = this.findNode(point);
+
+        this.pointer = { node: node, x: point.screenX, y: point.screenY, moved: false };
+        if (node) {
+            node.fixed = true;
+        }
+        this.canvas.setPointerCapture(e.pointerId);
+    },
+
+    /**
+     * Drag, or highlight the node under the pointer
+     * @param {PointerEvent} e - Event
+     */
+    handlePointerMove(e) {
+        const point = this.getPoint(e);
+
+        if (!this.pointer) {
+            const node = this.findNode(point);
+            if (node !== this.hovered) {
+                this.hovered = node;
+                this.canvas.style.cursor = node ? 'pointer' : '';
+                this.draw();
+            }
+            return;
+        }
+
+        const dx = point.screenX - this.pointer.x;
+        const dy = point.screenY - this.pointer.y;
+        if (Math.abs(dx) + Math.abs(dy) > 3) {
+            this.pointer.moved = true;
+        }
+        if (!this.pointer.moved) return;
+
+        if (this.pointer.node) {
+            this.pointer.node.x = point.x;
+            this.pointer.node.y = point.y;
+            this.start(0.3);
+        } else {
+            this.view.x += dx;
+            this.view.y += dy;
+            this.pointer.x = point.screenX;
+            this.pointer.y = point.screenY;
+            this.draw();
+        }
+    },
+
+    /**
+     * Finish dragging; a click without dragging opens the page
+     * @param {PointerEvent} e - Event
+     */
+    handlePointerUp(e) {
+        const pointer = this.pointer;
+        this.pointer = null;
+        if (!pointer) return;
+
+        if (pointer.node) {
+            pointer.node.fixed = false;
+            if (!pointer.moved) {
+                this.open(pointer.node);
+            }
+        }
+    },
+
+    /**
+     * Zoom around the pointer
+     * @param {WheelEvent} e - Event
+     */
+    handleWheel(e) {
+        e.preventDefault();
+
+        const point = this.getPoint(e);
+        const scale = Math.min(4, Math.max(0.2, this.view.scale * Math.exp(-e.deltaY * 0.001)));
+
+        // Keep the point under the pointer where it is
+        this.view.x = point.screenX - point.x * scale;
+        this.view.y = point.screenY - point.y * scale;
+        this.view.scale = scale;
+        this.draw();
+    },
+
+    /**
+     * Open a node's page, or create the page for an unresolved link
+     * @param {Object} node - Node
+     */
+    open(node) {
+        this.hide();
+        if (node.unresolved) {
+            Linking.createPageFromLink(node.label);
+        } else {
+            App.openPage(node.id);
+        }
+    },
+
+    /**
+     * Escape HTML special characters
+     * @param {string} str - String to escape
+     * @returns {string} Escaped string
+     */
+    escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+};
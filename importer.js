@@ -0,0 +1,763 @@
+/**
+ * Importer Module - Import Markdown folders, Obsidian vaults and Notion exports
+ * Accepts a directory upload, a .zip of .md files or Notion's "Markdown & CSV" zip
+ */
+
+const Importer = {
+    modal: null,
+
+    /**
+     * Initialize the importer
+     */
+    init() {
+        this.modal = document.getElementById('importModal');
+        this.bindEvents();
+    },
+
+    /**
+     * Bind import modal events
+     */
+    bindEvents() {
+        const folderInput = document.getElementById('importFolderInput');
+        const zipInput = document.getElementById('importZipInput');
+        const notionInput = document.getElementById('importNotionInput');
+
+        document.getElementById('importFolderBtn').addEventListener('click', () => {
+            folderInput.click();
+        });
+
+        document.getElementById('importZipBtn').addEventListener('click', () => {
+            zipInput.click();
+        });
+
+        document.getElementById('importNotionBtn').addEventListener('click', () => {
+            notionInput.click();
+        });
+
+        folderInput.addEventListener('change', () => {
+            if (folderInput.files.length > 0) {
+                this.run(() => this.readFolder(folderInput.files), 'markdown');
+            }
+            folderInput.value = '';
+        });
+
+        zipInput.addEventListener('change', () => {
+            if (zipInput.files.length > 0) {
+                const file = zipInput.files[0];
+                this.run(() => this.readZip(file), 'markdown');
+            }
+            zipInput.value = '';
+        });
+
+        notionInput.addEventListener('change', () => {
+            if (notionInput.files.length > 0) {
+                const file = notionInput.files[0];
+                this.run(() => this.readZip(file), 'notion');
+            }
+            notionInput.value = '';
+        });
+
+        document.getElementById('closeImportBtn').addEventListener('click', () => {
+            this.hide();
+        });
+
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.hide();
+            }
+        });
+    },
+
+    /**
+     * Show the import modal
+     */
+    show() {
+        document.getElementById('importReport').classList.add('hidden');
+        this.modal.classList.remove('hidden');
+    },
+
+    /**
+     * Hide the import modal
+     */
+    hide() {
+        this.modal.classList.add('hidden');
+    },
+
+    /**
+     * Read the selected files, import them and show the report
+     * @param {Function} readEntries - Async function returning file entries
+     * @param {string} format - 'markdown' or 'notion'
+     */
+    async run(readEntries, format) {
+        const reportEl = document.getElementById('importReport');
+        reportEl.classList.remove('hidden');
+        reportEl.textContent = 'Importing...';
+
+        try {
+            const entries = await readEntries();
+            const report = format === 'notion'
+                ? this.importNotion(entries)
+                : this.importMarkdown(entries, {
+                    useHeadingTitle: document.getElementById('importUseHeadingTitle').checked
+                });
+
+            Sidebar.render();
+            this.renderReport(report);
+        } catch (e) {
+            console.error('Import failed:', e);
+            reportEl.textContent = 'Import failed: ' + e.message;
+        }
+    },
+
+    /**
+     * Read files from a directory upload.
+     * Only Markdown files are loaded; the rest are kept for the report.
+     * @param {FileList} fileList - Files from an <input webkitdirectory>
+     * @returns {Promise<Array>} Entries { path, data, lastModified }
+     */
+    readFolder(fileList) {
+        return Promise.all(Array.from(fileList).map(async file => ({
+            path: file.webkitRelativePath || file.name,
+            data: this.isMarkdown(file.name) ? await file.text() : null,
+            lastModified: file.lastModified
+        })));
+    },
+
+    /**
+     * Read files from a .zip upload.
+     * Zips inside the zip are unpacked too (large Notion exports are split that way).
+     * @param {File} file - Zip file
+     * @returns {Promise<Array>} Entries { path, data }
+     */
+    async readZip(file) {
+        const entries = await Zip.read(await file.arrayBuffer());
+        const expanded = [];
+
+        for (const entry of entries) {
+            if (/\.zip$/i.test(entry.path) && entry.data) {
+                expanded.push(...await Zip.read(entry.data.slice().buffer));
+            } else {
+                expanded.push(entry);
+            }
+        }
+
+        return expanded;
+    },
+
+    // ============================================
+    // Markdown import
+    // ============================================
+
+    /**
+     * Create folders and pages from Markdown files
+     * @param {Array} entries - Files { path, data (string|Uint8Array), lastModified, error }
+     * @param {Object} options - { useHeadingTitle: take titles from the first H1 }
+     * @returns {Object} Report { pages, folders, skipped, collisions }
+     */
+    importMarkdown(entries, options = {}) {
+        const report = { pages: 0, folders: 0, skipped: [], collisions: [] };
+        const notes = [];
+
+        this.stripCommonRoot(entries).forEach(entry => {
+            const segments = entry.path.split('/').filter(Boolean);
+            const fileName = segments[segments.length - 1] || '';
+
+            if (segments.some(segment => segment.startsWith('.'))) {
+                report.skipped.push({ path: entry.path, reason: 'Hidden or settings file' });
+            } else if (!this.isMarkdown(fileName)) {
+                report.skipped.push({ path: entry.path, reason: 'Not a Markdown file' });
+            } else if (entry.data === null || entry.data === undefined) {
+                report.skipped.push({ path: entry.path, reason: entry.error || 'Could not be read' });
+            } else {
+                const { meta, body } = this.parseFrontMatter(this.decodeText(entry.data));
+                notes.push({
+                    path: entry.path,
+                    dirs: segments.slice(0, -1),
+                    name: fileName.replace(/\.(md|markdown)$/i, ''),
+                    meta: meta,
+                    body: body,
+                    lastModified: entry.lastModified
+                });
+            }
+        });
+
+        notes.sort((a, b) => a.path.localeCompare(b.path));
+
+        // Pick unique titles and remember which title each link target now points to
+        const takenTitles = new Set(
+            Object.values(Storage.getAllPages()).map(page => page.title.toLowerCase().trim())
+        );
+        const linkTargets = {};
+
+        notes.forEach(note => {
+            let title = typeof note.meta.title === 'string' && note.meta.title.trim() ? note.meta.title.trim() : note.name;
+
+            if (options.useHeadingTitle) {
+                const heading = /^#\s+(.+)$/m.exec(note.body);
+                if (heading) {
+                    title = heading[1].trim();
+                    note.body = this.stripLeadingHeading(note.body, title);
+                }
+            }
+
+            note.title = this.uniqueTitle(title, takenTitles);
+            if (note.title !== title) {
+                report.collisions.push({ path: note.path, title: title, renamedTo: note.title });
+            }
+
+            const pathKey = [...note.dirs, note.name].join('/').toLowerCase();
+            linkTargets[pathKey] = note.title;
+            if (!(note.name.toLowerCase() in linkTargets)) {
+                linkTargets[note.name.toLowerCase()] = note.title;
+            }
+        });
+
+        // Create folders and pages
+        const folderIds = {};
+
+        notes.forEach(note => {
+            const folderId = this.ensureFolderPath(note.dirs, folderIds, report);
+            const page = {
+                title: note.title,
+                content: this.rewriteWikilinks(note.body, linkTargets),
+                folderId: folderId,
+                voiceMemos: []
+            };
+
+            const tags = this.parseTags(note.meta.tags || note.meta.tag);
+            if (tags.length > 0) page.tags = tags;
+
+            const created = this.parseDate(note.meta.created || note.meta.createdat || note.meta.date);
+            page.updatedAt = this.parseDate(note.meta.updated || note.meta.updatedat || note.meta.modified) ||
+                this.parseDate(note.lastModified) ||
+                created;
+            page.createdAt = created || page.updatedAt;
+
+            Storage.savePage(page, { keepTimestamps: true });
+            report.pages++;
+        });
+
+        return report;
+    },
+
+    // ============================================
+    // Notion import
+    // ============================================
+
+    /**
+     * Create folders and pages from a Notion "Markdown & CSV" export.
+     * File and directory names carry a 32-character ID that is stripped;
+     * a page with sub-pages becomes a folder holding the page and its children;
+     * database CSVs become pages with a Markdown table.
+     * @param {Array} entries - Files { path, data, error }
+     * @returns {Object} Report { pages, folders, skipped, collisions }
+     */
+    importNotion(entries) {
+        const report = { pages: 0, folders: 0, skipped: [], collisions: [] };
+        entries = this.stripCommonRoot(entries);
+
+        // Directories that exist in the export (a page's sub-pages live in a same-named one)
+        const dirs = new Set();
+        entries.forEach(entry => {
+            const segments = entry.path.split('/');
+            for (let i = 1; i < segments.length; i++) {
+                dirs.add(segments.slice(0, i).join('/'));
+            }
+        });
+
+        // Newer exports write both "DB.csv" and "DB_all.csv"; keep the complete one
+        const paths = new Set(entries.map(entry => entry.path));
+        const items = [];
+
+        entries.forEach(entry => {
+            const isCsv = /\.csv$/i.test(entry.path);
+
+            if (!this.isMarkdown(entry.path) && !isCsv) {
+                report.skipped.push({ path: entry.path, reason: 'Not a page or database' });
+            } else if (isCsv && !/_all\.csv$/i.test(entry.path) && paths.has(entry.path.replace(/\.csv$/i, '_all.csv'))) {
+                return;
+            } else if (entry.data === null || entry.data === undefined) {
+                report.skipped.push({ path: entry.path, reason: entry.error || 'Could not be read' });
+            } else {
+                const base = entry.path.replace(/(_all)?\.(md|markdown|csv)$/i, '');
+                const segments = base.split('/');
+                const name = this.stripNotionId(segments[segments.length - 1]);
+                const folderNames = segments.slice(0, -1).map(segment => this.stripNotionId(segment));
+
+                // Pages with sub-pages go inside the folder created for their children
+                if (dirs.has(base)) {
+                    folderNames.push(name);
+                }
+
+                items.push({
+                    path: entry.path,
+                    id: this.notionId(segments[segments.length - 1]),
+                    name: name,
+                    folderNames: folderNames,
+                    isCsv: isCsv,
+                    text: this.decodeText(entry.data),
+                    lastModified: entry.lastModified
+                });
+            }
+        });
+
+        items.sort((a, b) => a.path.localeCompare(b.path));
+
+        // Pick unique titles; Notion file names are truncated, so prefer the page's own H1
+        const takenTitles = new Set(
+            Object.values(Storage.getAllPages()).map(page => page.title.toLowerCase().trim())
+        );
+        const titlesById = {};
+        const titlesByPath = {};
+
+        items.forEach(item => {
+            let title = item.name;
+
+            if (!item.isCsv) {
+                const heading = /^\s*#\s+(.+)$/m.exec(item.text);
+                if (heading && item.text.trimStart().startsWith('#')) {
+                    title = heading[1].trim();
+                }
+                item.text = this.stripLeadingHeading(item.text, title);
+            }
+
+            item.title = this.uniqueTitle(title, takenTitles);
+            if (item.title !== title) {
+                report.collisions.push({ path: item.path, title: title, renamedTo: item.title });
+            }
+
+            if (item.id) titlesById[item.id] = item.title;
+            titlesByPath[item.path.toLowerCase()] = item.title;
+        });
+
+        // Create folders and pages
+        const folderIds = {};
+
+        items.forEach(item => {
+            const content = item.isCsv
+                ? this.csvToMarkdownTable(this.parseCsv(item.text))
+                : this.rewriteNotionLinks(item.text, item.path, titlesById, titlesByPath);
+
+            // Notion's Markdown has no dates of its own; use the file's, like the Markdown importer
+            const updated = this.parseDate(item.lastModified);
+
+            Storage.savePage({
+                title: item.title,
+                content: content,
+                folderId: this.ensureFolderPath(item.folderNames, folderIds, report),
+                voiceMemos: [],
+                createdAt: updated,
+                updatedAt: updated
+            }, { keepTimestamps: true });
+            report.pages++;
+        });
+
+        return report;
+    },
+
+    /**
+     * Turn Notion's relative Markdown links into [[Page]] links.
+     * Targets are matched by their Notion ID, falling back to the relative path.
+     * @param {string} content - Markdown content
+     * @param {string} path - Path of the file being converted
+     * @param {Object} titlesById - Notion ID -> page title
+     * @param {Object} titlesByPath - Lower-cased export path -> page title
+     * @returns {string} Content with [[links]]
+     */
+    rewriteNotionLinks(content, path, titlesById, titlesByPath) {
+        const dir = path.split('/').slice(0, -1);
+
+        // Notion doesn't encode parentheses in hrefs, so "Meeting (draft) <id>.md" keeps its pair
+        return content.replace(/(!?)\[([^\]]*)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (match, embed, text, href) => {
+            if (embed || /^(mailto|#)/i.test(href)) return match;
+
+            let target;
+            try {
+                target = decodeURIComponent(href.split(/[?#]/)[0]);
+            } catch (e) {
+                target = href;
+            }
+
+            const id = this.notionId(target.replace(/(_all)?\.(md|csv)$/i, ''));
+            let title = id ? titlesById[id] : null;
+
+            if (!title && !/^[a-z]+:/i.test(target)) {
+                title = titlesByPath[this.resolvePath(dir, target).toLowerCase()];
+            }
+            if (!title) return match;
+
+            const shown = text.trim();
+            return shown && shown !== title ? `[[${title}|${shown}]]` : `[[${title}]]`;
+        });
+    },
+
+    /**
+     * Resolve a relative path against a directory
+     * @param {Array} dir - Directory segments
+     * @param {string} relative - Relative path
+     * @returns {string} Resolved path
+     */
+    resolvePath(dir, relative) {
+        const segments = [...dir];
+        relative.split('/').forEach(segment => {
+            if (segment === '..') {
+                segments.pop();
+            } else if (segment && segment !== '.') {
+                segments.push(segment);
+            }
+        });
+        return segments.join('/');
+    },
+
+    /**
+     * Get the Notion ID at the end of a file name or URL
+     * @param {string} name - File name, path or URL
+     * @returns {string|null} Lower-cased 32-character ID
+     */
+    notionId(name) {
+        const matches = name.replace(/-/g, '').match(/[0-9a-f]{32}(?![0-9a-f])/gi);
+        return matches ? matches[matches.length - 1].toLowerCase() : null;
+    },
+
+    /**
+     * Remove the ID Notion appends to file and directory names
+     * @param {string} name - Name such as "Page Name 3f2a...d41"
+     * @returns {string} Name without the ID
+     */
+    stripNotionId(name) {
+        const stripped = name
+            .replace(/\s+[0-9a-f]{32}$/i, '')
+            .replace(/\s+[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, '')
+            .trim();
+        return stripped || 'Untitled';
+    },
+
+    /**
+     * Parse CSV text (RFC 4180 quoting)
+     * @param {string} text - CSV text
+     * @returns {Array} Rows of cells
+     */
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows.filter(r => r.some(c => c.trim() !== ''));
+    },
+
+    /**
+     * Format CSV rows as a Markdown table (first row is the header)
+     * @param {Array} rows - Rows of cells
+     * @returns {string} Markdown table
+     */
+    csvToMarkdownTable(rows) {
+        if (rows.length === 0) return '';
+
+        const width = Math.max(...rows.map(r => r.length));
+        const formatRow = (row) => {
+            const cells = [];
+            for (let i = 0; i < width; i++) {
+                cells.push((row[i] || '').trim().replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>'));
+            }
+            return `| ${cells.join(' | ')} |`;
+        };
+
+        return [
+            formatRow(rows[0]),
+            `| ${new Array(width).fill('---').join(' | ')} |`,
+            ...rows.slice(1).map(formatRow)
+        ].join('\n');
+    },
+
+    /**
+     * Remove a top-level directory shared by every entry (the vault folder itself)
+     * @param {Array} entries - File entries
+     * @returns {Array} Entries with shortened paths
+     */
+    stripCommonRoot(entries) {
+        const roots = new Set(entries.map(entry => entry.path.split('/')[0]));
+        const root = roots.size === 1 ? [...roots][0] : null;
+
+        if (!root || entries.some(entry => !entry.path.includes('/'))) {
+            return entries;
+        }
+
+        return entries.map(entry => ({ ...entry, path: entry.path.slice(root.length + 1) }));
+    },
+
+    /**
+     * Find or create the folder for a directory path
+     * @param {Array} dirs - Directory names from the root
+     * @param {Object} folderIds - Cache of path -> folder ID, updated in place
+     * @param {Object} report - Import report, counts new folders
+     * @returns {string|null} Folder ID, or null for root
+     */
+    ensureFolderPath(dirs, folderIds, report) {
+        let parentId = null;
+
+        dirs.forEach((name, i) => {
+            const key = dirs.slice(0, i + 1).join('/').toLowerCase();
+
+            if (!folderIds[key]) {
+                const existing = Storage.getChildFolders(parentId)
+                    .find(folder => folder.name.toLowerCase() === name.toLowerCase());
+
+                if (existing) {
+                    folderIds[key] = existing.id;
+                } else {
+                    folderIds[key] = Storage.saveFolder({ name: name, parentId: parentId }).id;
+                    report.folders++;
+                }
+            }
+
+            parentId = folderIds[key];
+        });
+
+        return parentId;
+    },
+
+    /**
+     * Point [[links]] at the imported page titles.
+     * Path-style targets ([[folder/Note]]) and .md suffixes are resolved;
+     * #headings and |aliases are kept as written.
+     * @param {string} content - Markdown content
+     * @param {Object} linkTargets - Lower-cased file name or path -> page title
+     * @returns {string} Content with rewritten links
+     */
+    rewriteWikilinks(content, linkTargets) {
+        return content.replace(/(!?)\[\[([^\]]+)\]\]/g, (match, embed, inner) => {
+            if (embed) return match;
+
+            const [, target, rest] = /^([^#^|]*)(.*)$/.exec(inner);
+            const key = target.trim().replace(/\.(md|markdown)$/i, '').toLowerCase();
+            const title = linkTargets[key] || linkTargets[key.split('/').pop()];
+
+            return title ? `[[${title}${rest}]]` : match;
+        });
+    },
+
+    /**
+     * Remove a first-line H1 that repeats the title
+     * @param {string} body - Markdown content
+     * @param {string} title - Page title
+     * @returns {string} Content
+     */
+    stripLeadingHeading(body, title) {
+        const lines = body.replace(/^\s*\n/, '').split('\n');
+        if (lines[0] && /^#\s+/.test(lines[0]) && lines[0].replace(/^#\s+/, '').trim() === title) {
+            return lines.slice(1).join('\n').replace(/^\s*\n/, '');
+        }
+        return body;
+    },
+
+    /**
+     * Make a title unique among existing pages by adding " (2)", " (3)"...
+     * @param {string} title - Preferred title
+     * @param {Set} takenTitles - Lower-cased titles in use; updated in place
+     * @returns {string} Unique title
+     */
+    uniqueTitle(title, takenTitles) {
+        const base = title.trim() || 'Untitled';
+        let unique = base;
+        let n = 2;
+        while (takenTitles.has(unique.toLowerCase())) {
+            unique = `${base} (${n++})`;
+        }
+        takenTitles.add(unique.toLowerCase());
+        return unique;
+    },
+
+    // ============================================
+    // Parsing helpers
+    // ============================================
+
+    /**
+     * Split YAML front-matter from a Markdown document
+     * @param {string} text - Markdown text
+     * @returns {Object} { meta, body } - meta keys are lower-cased
+     */
+    parseFrontMatter(text) {
+        const match = /^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(\r?\n|$)/.exec(text);
+        if (!match) {
+            return { meta: {}, body: text };
+        }
+        return {
+            meta: this.parseYaml(match[1]),
+            body: text.slice(match[0].length).replace(/^\s*\n/, '')
+        };
+    },
+
+    /**
+     * Parse the simple YAML used in front-matter: scalars, [inline, lists] and "- item" lists
+     * @param {string} yaml - YAML text
+     * @returns {Object} Parsed values
+     */
+    parseYaml(yaml) {
+        const meta = {};
+        let listKey = null;
+
+        yaml.split(/\r?\n/).forEach(line => {
+            const item = /^\s*-\s+(.*)$/.exec(line);
+            if (item && listKey) {
+                meta[listKey].push(this.parseYamlScalar(item[1].trim()));
+                return;
+            }
+
+            const pair = /^([\w-]+)\s*:\s*(.*)$/.exec(line);
+            if (!pair) return;
+
+            const key = pair[1].toLowerCase();
+            const value = pair[2].trim();
+            listKey = null;
+
+            if (value === '') {
+                meta[key] = [];
+                listKey = key;
+            } else if (/^\[.*\]$/.test(value)) {
+                meta[key] = value.slice(1, -1).split(',')
+                    .map(v => this.parseYamlScalar(v.trim()))
+                    .filter(v => v !== '');
+            } else {
+                meta[key] = this.parseYamlScalar(value);
+            }
+        });
+
+        return meta;
+    },
+
+    /**
+     * Parse a YAML scalar, removing quotes
+     * @param {string} value - Raw value
+     * @returns {string} Value
+     */
+    parseYamlScalar(value) {
+        if (/^".*"$/.test(value)) {
+            try {
+                return JSON.parse(value);
+            } catch (e) {
+                return value.slice(1, -1);
+            }
+        }
+        if (/^'.*'$/.test(value)) {
+            return value.slice(1, -1).replace(/''/g, "'");
+        }
+        return value;
+    },
+
+    /**
+     * Normalize front-matter tags (list or comma/space separated string)
+     * @param {Array|string} value - Raw tags value
+     * @returns {Array} Tags without leading '#'
+     */
+    parseTags(value) {
+        if (!value) return [];
+        const list = Array.isArray(value) ? value : String(value).split(/[,\s]+/);
+        return [...new Set(list
+            .map(tag => String(tag).trim().replace(/^#/, ''))
+            .filter(Boolean))];
+    },
+
+    /**
+     * Parse a date value into an ISO string
+     * @param {string|number} value - Date string or timestamp
+     * @returns {string|null} ISO date or null if invalid
+     */
+    parseDate(value) {
+        if (value === undefined || value === null || value === '' || Array.isArray(value)) return null;
+        const date = new Date(value);
+        return isNaN(date) ? null : date.toISOString();
+    },
+
+    /**
+     * Decode file contents as UTF-8 text
+     * @param {string|Uint8Array} data - File contents
+     * @returns {string} Text without a byte order mark
+     */
+    decodeText(data) {
+        const text = typeof data === 'string' ? data : new TextDecoder().decode(data);
+        return text.replace(/^\uFEFF/, '');
+    },
+
+    /**
+     * Check whether a file name is a Markdown file
+     * @param {string} name - File name
+     * @returns {boolean}
+     */
+    isMarkdown(name) {
+        return /\.(md|markdown)$/i.test(name);
+    },
+
+    /**
+     * Render the import report in the modal
+     * @param {Object} report - Import report
+     */
+    renderReport(report) {
+        const reportEl = document.getElementById('importReport');
+        const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+        let html = `<p class="import-summary">Imported ${plural(report.pages, 'page')} and created ${plural(report.folders, 'folder')}.</p>`;
+
+        if (report.collisions.length > 0) {
+            html += `<h4>Name collisions (${report.collisions.length})</h4><ul class="import-list">`;
+            report.collisions.forEach(c => {
+                html += `<li>${this.escapeHtml(c.path)} — "${this.escapeHtml(c.title)}" renamed to "${this.escapeHtml(c.renamedTo)}"</li>`;
+            });
+            html += '</ul>';
+        }
+
+        if (report.skipped.length > 0) {
+            html += `<h4>Skipped files (${report.skipped.length})</h4><ul class="import-list">`;
+            report.skipped.forEach(s => {
+                html += `<li>${this.escapeHtml(s.path)} — ${this.escapeHtml(s.reason)}</li>`;
+            });
+            html += '</ul>';
+        }
+
+        reportEl.innerHTML = html;
+    },
+
+    /**
+     * Escape HTML special characters
+     * @param {string} str - String to escape
+     * @returns {string} Escaped string
+     */
+    escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+};
@@ -1,24 +1,106 @@
 /**
  * Linking Module - Page linking with [[Page Name]] syntax
+ * Also accepts [[Page Name|shown text]], [[Page Name#Heading]] and [[Page Name^blockid]]
  */
 
 const Linking = {
     // Regex to match [[Page Name]] links
     linkPattern: /\[\[([^\]]+)\]\]/g,
 
+    // A block's ID is written at its end, e.g. "Some paragraph ^a1b2c3", like in Obsidian
+    blockIdPattern: /\s\^([A-Za-z0-9-]+)\s*$/,
+
+    // Code, [[links]], link targets and HTML come first so mentions inside them are skipped
+    mentionSkipPattern: /```[\s\S]*?```|`[^`\n]*`|\[\[[^\]]*\]\]|\]\([^)]*\)|<\/?[a-zA-Z][^>]*>/,
+    MENTION_CONTEXT_CHARS: 50,
+
+    pendingRelink: null, // { pageId, oldTitle, newTitle } waiting for confirmation
+    backlinksCollapsed: false,
+    collapsedBacklinks: new Set(), // IDs of linking pages whose blocks are folded away
+
+    /**
+     * Initialize linking
+     */
+    init() {
+        this.bindEvents();
+    },
+
+    /**
+     * Bind the backlinks header and the update-links modal
+     */
+    bindEvents() {
+        document.getElementById('backlinksHeader').addEventListener('click', () => {
+            this.backlinksCollapsed = !this.backlinksCollapsed;
+            this.updateBacklinks(App.currentPageId);
+        });
+
+        document.getElementById('confirmRelinkBtn').addEventListener('click', () => {
+            const { oldTitle, newTitle } = this.pendingRelink;
+            this.hideRelink();
+            this.relink(oldTitle, newTitle);
+        });
+
+        document.getElementById('cancelRelinkBtn').addEventListener('click', () => {
+            this.hideRelink();
+        });
+    },
+
+    /**
+     * Split the inside of a [[link]] into its parts
+     * @param {string} inner - Text between the brackets
+     * @returns {Object} { target, heading, blockId, alias } - null for parts not given
+     */
+    parseLink(inner) {
+        const pipe = inner.indexOf('|');
+        const path = (pipe === -1 ? inner : inner.slice(0, pipe)).trim();
+        const alias = pipe === -1 ? null : inner.slice(pipe + 1).trim() || null;
+
+        // [[Page#Heading]] or [[Page^blockid]]; with nested headings (#A#B) the last one is meant.
+        // A page whose whole title contains # or ^ still wins.
+        const match = /^([^#^]*)(#[^^]*)?(?:\^([A-Za-z0-9-]+))?$/.exec(path);
+        if (!match || (match[0] !== match[1] && this.findPageByTitle(path))) {
+            return { target: path, heading: null, blockId: null, alias: alias };
+        }
+
+        return {
+            target: match[1].trim(),
+            heading: match[2] ? match[2].split('#').pop().trim() || null : null,
+            blockId: match[3] || null,
+            alias: alias
+        };
+    },
+
+    /**
+     * Write the inside of a [[link]] from its parts
+     * @param {Object} link - { target, heading, blockId, alias }
+     * @returns {string} Text between the brackets
+     */
+    formatLink(link) {
+        return link.target +
+            (link.heading ? `#${link.heading}` : '') +
+            (link.blockId ? `^${link.blockId}` : '') +
+            (link.alias ? `|${link.alias}` : '');
+    },
+
     /**
      * Process content to convert [[links]] to clickable HTML
      * @param {string} content - Markdown content
      * @returns {string} Processed content with HTML links
      */
     processLinks(content) {
-        return content.replace(this.linkPattern, (match, pageName) => {
+        return content.replace(this.linkPattern, (match, inner) => {
+            const link = this.parseLink(inner);
+            const pageName = link.target;
+            const anchor = link.heading || (link.blockId ? `^${link.blockId}` : '');
+            const text = this.escapeHtml(link.alias || (anchor ? `${pageName} › ${anchor}` : pageName));
+            const anchorData = (link.heading ? ` data-heading="${this.escapeHtml(link.heading)}"` : '') +
+                (link.blockId ? ` data-block-id="${link.blockId}"` : '');
             const page = this.findPageByTitle(pageName);
             if (page) {
-                return `<span class="page-link" data-page-id="${page.id}" data-page-name="${this.escapeHtml(pageName)}">${this.escapeHtml(pageName)}</span>`;
+                return `<span class="page-link" data-page-id="${page.id}" data-page-name="${this.escapeHtml(pageName)}"${anchorData}>${text}</span>`;
             } else {
                 // Page doesn't exist - show as potential new page
-                return `<span class="page-link new-page" data-page-name="${this.escapeHtml(pageName)}" title="Click to create">${this.escapeHtml(pageName)}</span>`;
+                return `<span class="page-link new-page" data-page-name="${this.escapeHtml(pageName)}" title="Click to create">${text}</span>`;
             }
         });
     },
@@ -29,12 +111,7 @@ const Linking = {
      * @returns {Object|null} Page object or null
      */
     findPageByTitle(title) {
-        const pages = Storage.getAllPages();
-        const lowerTitle = title.toLowerCase().trim();
-
-        return Object.values(pages).find(page =>
-            page.title.toLowerCase().trim() === lowerTitle
-        ) || null;
+        return Storage.getPageByTitle(title);
     },
 
     /**
@@ -51,7 +128,7 @@ const Linking = {
 
                 if (pageId) {
                     // Navigate to existing page
-                    App.openPage(pageId);
+                    this.openLink(pageId, link.dataset.heading, link.dataset.blockId);
                 } else if (pageName) {
                     // Create new page with this name
                     this.createPageFromLink(pageName);
@@ -60,13 +137,89 @@ const Linking = {
         });
     },
 
+    /**
+     * Open a linked page and scroll to the heading or block the link points at
+     * @param {string} pageId - Page ID
+     * @param {string} [heading] - Heading text
+     * @param {string} [blockId] - Block ID
+     */
+    openLink(pageId, heading, blockId) {
+        if (pageId !== App.currentPageId) {
+            App.openPage(pageId);
+        }
+
+        const index = heading ? Editor.findHeading(heading) : blockId ? Editor.findBlock(blockId) : -1;
+        if (index >= 0) {
+            Editor.revealBlock(index);
+        }
+    },
+
+    // ============================================
+    // Anchors
+    // ============================================
+
+    /**
+     * Get the headings in some content
+     * @param {string} content - Markdown content
+     * @returns {Array} Heading texts, in order
+     */
+    getHeadings(content) {
+        return [...(content || '').matchAll(/^#{1,6}[ \t]+(.+?)[ \t#]*$/gm)].map(match => match[1]);
+    },
+
+    /**
+     * Get a block's ID
+     * @param {string} content - Block content
+     * @returns {string|null} Block ID
+     */
+    getBlockId(content) {
+        const match = this.blockIdPattern.exec(content);
+        return match ? match[1] : null;
+    },
+
+    /**
+     * Remove the block ID from the end of a block before it is shown
+     * @param {string} content - Block content
+     * @returns {string} Content without the ID
+     */
+    stripBlockId(content) {
+        return content.replace(this.blockIdPattern, '');
+    },
+
+    /**
+     * Create a block ID that isn't used in some content yet
+     * @param {string} content - Page content
+     * @returns {string} Block ID
+     */
+    createBlockId(content) {
+        let id;
+        do {
+            id = Math.random().toString(36).slice(2, 8);
+        } while (content.includes(`^${id}`));
+        return id;
+    },
+
     /**
      * Create a new page from a link
      * @param {string} title - Page title
+     * @param {string|null} [folderId] - Folder ID; the open page's folder by default
      */
-    createPageFromLink(title) {
-        const currentPage = Storage.getPage(App.currentPageId);
-        const folderId = currentPage ? currentPage.folderId : null;
+    createPageFromLink(title, folderId) {
+        const page = this.createPage(title, folderId);
+        App.openPage(page.id);
+    },
+
+    /**
+     * Create an empty page
+     * @param {string} title - Page title
+     * @param {string|null} [folderId] - Folder ID; the open page's folder by default
+     * @returns {Object} New page
+     */
+    createPage(title, folderId) {
+        if (folderId === undefined) {
+            const currentPage = Storage.getPage(App.currentPageId);
+            folderId = currentPage ? currentPage.folderId : null;
+        }
 
         const page = Storage.savePage({
             title: title,
@@ -76,7 +229,7 @@ const Linking = {
         });
 
         Sidebar.render();
-        App.openPage(page.id);
+        return page;
     },
 
     /**
@@ -87,25 +240,247 @@ const Linking = {
         const backlinksSection = document.getElementById('backlinksSection');
         const backlinksList = document.getElementById('backlinksList');
 
-        const backlinks = Storage.getBacklinks(pageId);
+        const backlinks = this.findBacklinkBlocks(pageId);
+        const mentions = this.findUnlinkedMentions(pageId);
 
-        if (backlinks.length === 0) {
+        if (backlinks.length === 0 && mentions.length === 0) {
             backlinksSection.style.display = 'none';
             return;
         }
 
         backlinksSection.style.display = 'block';
+        document.getElementById('backlinksHeader').classList.toggle('hidden', backlinks.length === 0);
+        document.getElementById('backlinksCount').textContent = backlinks.length;
+        document.getElementById('backlinksExpandIcon').classList.toggle('expanded', !this.backlinksCollapsed);
+        backlinksList.classList.toggle('hidden', backlinks.length === 0 || this.backlinksCollapsed);
         backlinksList.innerHTML = '';
 
-        backlinks.forEach(page => {
-            const item = document.createElement('div');
-            item.className = 'backlink-item';
-            item.textContent = page.title || 'Untitled';
-            item.addEventListener('click', () => {
+        this.groupByFolder(backlinks).forEach(group => {
+            const folder = document.createElement('div');
+            folder.className = 'backlink-folder';
+            folder.textContent = `📁 ${group.path || 'No folder'}`;
+            backlinksList.appendChild(folder);
+
+            group.results.forEach(result => {
+                backlinksList.appendChild(this.createBacklinkGroup(pageId, result));
+            });
+        });
+
+        this.renderUnlinkedMentions(pageId, mentions);
+    },
+
+    // ============================================
+    // Backlinks
+    // ============================================
+
+    /**
+     * Find the blocks of other pages that link to a page
+     * @param {string} pageId - Page ID
+     * @returns {Array} [{ page, blocks: [{ index, content }] }] - index is the block's position in its page
+     */
+    findBacklinkBlocks(pageId) {
+        const target = Storage.getPage(pageId);
+        if (!target) return [];
+
+        const regex = new RegExp(this.linkPattern.source, 'g');
+        const linksHere = content => [...content.matchAll(regex)]
+            .some(match => this.getRenamedLink(match[1], target.title, target.title));
+
+        return Storage.getBacklinks(pageId).map(page => ({
+            page: page,
+            blocks: Editor.parseBlocks(page.content)
+                .map((content, index) => ({ index: index, content: content }))
+                .filter(block => linksHere(block.content))
+        }));
+    },
+
+    /**
+     * Group backlinks by the folder of the linking page
+     * @param {Array} results - From findBacklinkBlocks()
+     * @returns {Array} [{ path, results }] - pages without a folder first, then by folder path; pages by title
+     */
+    groupByFolder(results) {
+        const groups = new Map();
+
+        results.forEach(result => {
+            const path = Storage.getFolderPathText(result.page.folderId);
+            if (!groups.has(path)) {
+                groups.set(path, { path: path, results: [] });
+            }
+            groups.get(path).results.push(result);
+        });
+
+        return [...groups.values()]
+            .sort((a, b) => a.path.localeCompare(b.path))
+            .map(group => {
+                group.results.sort((a, b) => (a.page.title || '').localeCompare(b.page.title || ''));
+                return group;
+            });
+    },
+
+    /**
+     * Create a linking page's entry: its title, and each block that links here rendered as markdown.
+     * Clicking a block opens the page at that block.
+     * @param {string} pageId - Current page ID
+     * @param {Object} result - { page, blocks } from findBacklinkBlocks()
+     * @returns {HTMLElement} Entry element
+     */
+    createBacklinkGroup(pageId, { page, blocks }) {
+        const collapsed = this.collapsedBacklinks.has(page.id);
+
+        const group = document.createElement('div');
+        group.className = 'backlink-group';
+        group.innerHTML = `
+            <div class="backlink-page">
+                <span class="expand-icon ${collapsed ? '' : 'expanded'}">▶</span>
+                <span class="backlink-title">${this.escapeHtml(page.title || 'Untitled')}</span>
+                <span class="mention-count">${blocks.length || ''}</span>
+            </div>
+        `;
+
+        group.querySelector('.expand-icon').addEventListener('click', () => {
+            if (collapsed) {
+                this.collapsedBacklinks.delete(page.id);
+            } else {
+                this.collapsedBacklinks.add(page.id);
+            }
+            this.updateBacklinks(pageId);
+        });
+
+        group.querySelector('.backlink-title').addEventListener('click', () => {
+            App.openPage(page.id);
+        });
+
+        if (collapsed) return group;
+
+        blocks.forEach(block => {
+            const snippet = document.createElement('div');
+            snippet.className = 'backlink-snippet block-rendered';
+            snippet.innerHTML = Editor.renderMarkdown(this.processLinks(Tags.processTags(this.stripBlockId(block.content))));
+            snippet.querySelectorAll(`.page-link[data-page-id="${pageId}"]`).forEach(link => {
+                link.classList.add('current');
+            });
+            snippet.addEventListener('click', () => {
                 App.openPage(page.id);
+                Editor.revealBlock(block.index);
             });
-            backlinksList.appendChild(item);
+            group.appendChild(snippet);
         });
+
+        return group;
+    },
+
+    // ============================================
+    // Unlinked mentions
+    // ============================================
+
+    /**
+     * Find where other pages mention a page's title as plain text: whole words, any case, outside links and code
+     * @param {string} pageId - Page ID
+     * @returns {Array} [{ page, mentions: [{ start, end, text }] }] sorted by page title
+     */
+    findUnlinkedMentions(pageId) {
+        const target = Storage.getPage(pageId);
+        const title = target ? target.title.trim() : '';
+        if (!title) return [];
+
+        // A "#" in front makes it a tag rather than a mention
+        const regex = new RegExp(
+            `(${this.mentionSkipPattern.source})|(?<![\\p{L}\\p{N}_#])${Storage.escapeRegex(title)}(?![\\p{L}\\p{N}_])`,
+            'giu'
+        );
+
+        return Object.values(Storage.getAllPages())
+            .filter(page => page.id !== pageId)
+            .map(page => ({
+                page: page,
+                mentions: [...page.content.matchAll(regex)]
+                    .filter(match => !match[1])
+                    .map(match => ({ start: match.index, end: match.index + match[0].length, text: match[0] }))
+            }))
+            .filter(result => result.mentions.length > 0)
+            .sort((a, b) => (a.page.title || '').localeCompare(b.page.title || ''));
+    },
+
+    /**
+     * List the unlinked mentions, each with the text around it and a button to link it
+     * @param {string} pageId - Current page ID
+     * @param {Array} results - From findUnlinkedMentions()
+     */
+    renderUnlinkedMentions(pageId, results) {
+        const section = document.getElementById('unlinkedMentions');
+        const list = document.getElementById('unlinkedList');
+        const total = results.reduce((sum, result) => sum + result.mentions.length, 0);
+
+        section.classList.toggle('hidden', total === 0);
+        document.getElementById('unlinkedCount').textContent = total;
+        list.innerHTML = '';
+
+        results.forEach(({ page, mentions }) => {
+            const group = document.createElement('div');
+            group.className = 'mention-group';
+
+            const title = document.createElement('div');
+            title.className = 'mention-page';
+            title.textContent = page.title || 'Untitled';
+            title.addEventListener('click', () => {
+                App.openPage(page.id);
+            });
+            group.appendChild(title);
+
+            mentions.forEach(mention => {
+                const item = document.createElement('div');
+                item.className = 'mention-item';
+                item.innerHTML = `
+                    <span class="mention-context">${this.getMentionContext(page.content, mention)}</span>
+                    <button class="small-btn secondary mention-link-btn">Link</button>
+                `;
+                item.querySelector('.mention-link-btn').addEventListener('click', () => {
+                    this.linkMention(pageId, page.id, mention);
+                });
+                group.appendChild(item);
+            });
+
+            list.appendChild(group);
+        });
+    },
+
+    /**
+     * Get the text around a mention on its line, with the mention marked
+     * @param {string} content - Page content
+     * @param {Object} mention - { start, end, text }
+     * @returns {string} HTML
+     */
+    getMentionContext(content, mention) {
+        const lineStart = content.lastIndexOf('\n', mention.start - 1) + 1;
+        const newline = content.indexOf('\n', mention.end);
+        const lineEnd = newline === -1 ? content.length : newline;
+        const from = Math.max(lineStart, mention.start - this.MENTION_CONTEXT_CHARS);
+        const to = Math.min(lineEnd, mention.end + this.MENTION_CONTEXT_CHARS);
+
+        return (from > lineStart ? '…' : '') +
+            this.escapeHtml(content.slice(from, mention.start)) +
+            `<mark>${this.escapeHtml(mention.text)}</mark>` +
+            this.escapeHtml(content.slice(mention.end, to)) +
+            (to < lineEnd ? '…' : '');
+    },
+
+    /**
+     * Turn a mention into a [[link]] and save the page it is in
+     * @param {string} pageId - Mentioned page ID
+     * @param {string} sourceId - ID of the page with the mention
+     * @param {Object} mention - { start, end, text }
+     */
+    linkMention(pageId, sourceId, mention) {
+        const page = Storage.getPage(sourceId);
+
+        // Skip it if the page changed since the list was shown (e.g. in another tab)
+        if (page && page.content.slice(mention.start, mention.end) === mention.text) {
+            page.content = `${page.content.slice(0, mention.start)}[[${mention.text}]]${page.content.slice(mention.end)}`;
+            Storage.savePage(page);
+        }
+
+        this.updateBacklinks(pageId);
     },
 
     /**
@@ -122,7 +497,7 @@ const Linking = {
 
         const regex = new RegExp(this.linkPattern.source, 'g');
         while ((match = regex.exec(page.content)) !== null) {
-            const linkedPage = this.findPageByTitle(match[1]);
+            const linkedPage = this.findPageByTitle(this.parseLink(match[1]).target);
             if (linkedPage && linkedPage.id !== pageId) {
                 links.push(linkedPage);
             }
@@ -131,6 +506,153 @@ const Linking = {
         return links;
     },
 
+    /**
+     * Get the titles a page links to that no page has yet
+     * @param {string} pageId - Page ID
+     * @returns {Array} Link targets as written
+     */
+    getUnresolvedLinks(pageId) {
+        const page = Storage.getPage(pageId);
+        if (!page) return [];
+
+        const titles = [];
+        let match;
+
+        const regex = new RegExp(this.linkPattern.source, 'g');
+        while ((match = regex.exec(page.content)) !== null) {
+            const target = this.parseLink(match[1]).target;
+            if (target && !this.findPageByTitle(target)) {
+                titles.push(target);
+            }
+        }
+
+        return titles;
+    },
+
+    // ============================================
+    // Renaming
+    // ============================================
+
+    /**
+     * Count the links to a title in each page. Matches ignore case, and [[Title|shown text]], [[Title#Heading]] and [[Title^block]] count.
+     * @param {string} title - Linked title
+     * @returns {Array} [{ page, count }] sorted by page title
+     */
+    findLinksTo(title) {
+        const regex = new RegExp(this.linkPattern.source, 'g');
+
+        return Object.values(Storage.getAllPages())
+            .map(page => ({
+                page: page,
+                count: [...page.content.matchAll(regex)].filter(match => this.getRenamedLink(match[1], title, title)).length
+            }))
+            .filter(result => result.count > 0)
+            .sort((a, b) => (a.page.title || '').localeCompare(b.page.title || ''));
+    },
+
+    /**
+     * Point the links to one title at another, keeping any #heading, ^block and |shown text
+     * @param {string} content - Markdown content
+     * @param {string} oldTitle - Title the links use now
+     * @param {string} newTitle - Title to link to instead
+     * @returns {string} Content with rewritten links
+     */
+    rewriteLinks(content, oldTitle, newTitle) {
+        return content.replace(this.linkPattern, (match, inner) => {
+            const renamed = this.getRenamedLink(inner, oldTitle, newTitle);
+            return renamed ? `[[${renamed}]]` : match;
+        });
+    },
+
+    /**
+     * Rewrite the inside of a link if it points at a title
+     * @param {string} inner - Text between the brackets
+     * @param {string} oldTitle - Title the link should point at
+     * @param {string} newTitle - Title to point it at instead
+     * @returns {string|null} New text between the brackets, or null if the link points elsewhere
+     */
+    getRenamedLink(inner, oldTitle, newTitle) {
+        const lowerTitle = oldTitle.toLowerCase().trim();
+        const link = this.parseLink(inner);
+
+        if (link.target.toLowerCase() === lowerTitle) {
+            return this.formatLink({ ...link, target: newTitle });
+        }
+
+        // The old title had a # or ^ in it, which reads as an anchor once no page has that title
+        const pipe = inner.indexOf('|');
+        if ((pipe === -1 ? inner : inner.slice(0, pipe)).trim().toLowerCase() === lowerTitle) {
+            return newTitle + (pipe === -1 ? '' : inner.slice(pipe));
+        }
+
+        return null;
+    },
+
+    /**
+     * After a page was renamed, offer to update the links that use its old title
+     * @param {string} pageId - Renamed page ID
+     * @param {string} oldTitle - Title before the rename
+     * @param {string} newTitle - New title
+     */
+    confirmRelink(pageId, oldTitle, newTitle) {
+        // Links ignore case, so they still find the page
+        if (oldTitle.toLowerCase().trim() === newTitle.toLowerCase().trim()) return;
+
+        // Another page with the old title now receives the links; leave them to it
+        if (this.findPageByTitle(oldTitle)) return;
+
+        const results = this.findLinksTo(oldTitle);
+        if (results.length === 0) return;
+
+        const total = results.reduce((sum, result) => sum + result.count, 0);
+        document.getElementById('relinkMessage').textContent =
+            `${total === 1 ? '1 link points' : `${total} links point`} to "${oldTitle}". Update ${total === 1 ? 'it' : 'them'} to "${newTitle}"?`;
+
+        const list = document.getElementById('relinkList');
+        list.innerHTML = '';
+        results.forEach(({ page, count }) => {
+            const item = document.createElement('li');
+            item.innerHTML = `📄 ${this.escapeHtml(page.id === pageId ? newTitle : page.title || 'Untitled')}${count > 1 ? ` <span class="relink-count">${count} links</span>` : ''}`;
+            list.appendChild(item);
+        });
+
+        this.pendingRelink = { pageId: pageId, oldTitle: oldTitle, newTitle: newTitle };
+        document.getElementById('relinkModal').classList.remove('hidden');
+    },
+
+    /**
+     * Hide the update-links modal
+     */
+    hideRelink() {
+        document.getElementById('relinkModal').classList.add('hidden');
+        this.pendingRelink = null;
+    },
+
+    /**
+     * Rewrite the links to a renamed page in every page that has them
+     * @param {string} oldTitle - Title before the rename
+     * @param {string} newTitle - New title
+     */
+    relink(oldTitle, newTitle) {
+        // Include unsaved edits of the open page
+        Editor.save();
+
+        const pages = this.findLinksTo(oldTitle).map(result => result.page);
+        pages.forEach(page => {
+            page.content = this.rewriteLinks(page.content, oldTitle, newTitle);
+            Storage.savePage(page);
+        });
+
+        const openPageId = App.currentPageId;
+        if (pages.some(page => page.id === openPageId) && !Sync.hasConflict(openPageId)) {
+            Editor.loadPage(Storage.getPage(openPageId));
+        } else if (openPageId) {
+            this.updateBacklinks(openPageId);
+        }
+
+        Sidebar.render();
+    },
+
     /**
      * Insert a page link at the cursor position
      * @param {string} pageTitle - Title of the page to link
@@ -141,18 +663,26 @@ const Linking = {
 
     /**
      * Get suggestions for page links based on partial input
-     * @param {string} query - Partial page name
-     * @returns {Array} Matching pages
+     * @param {string} query - Partial page name; matched fuzzily against the folder path and title
+     * @param {number} [limit] - Maximum number of pages
+     * @returns {Array} Matching pages, best first; recently edited pages when the query is empty
      */
-    getSuggestions(query) {
-        if (!query || query.length < 2) return [];
+    getSuggestions(query, limit = 5) {
+        const pages = Object.values(Storage.getAllPages())
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
 
-        const pages = Storage.getAllPages();
-        const lowerQuery = query.toLowerCase();
+        if (!query.trim()) return pages.slice(0, limit);
 
-        return Object.values(pages)
-            .filter(page => page.title.toLowerCase().includes(lowerQuery))
-            .slice(0, 5);
+        return pages
+            .map(page => {
+                const path = Storage.getFolderPathText(page.folderId);
+                const text = path ? `${path} / ${page.title}` : page.title;
+                return { page: page, match: Search.fuzzyMatch(query, text, path ? [...path].length + 3 : 0) };
+            })
+            .filter(result => result.match)
+            .sort((a, b) => b.match.score - a.match.score)
+            .slice(0, limit)
+            .map(result => result.page);
     },
 
     /**
@@ -154,18 +154,17 @@ Return ONLY the markdown outline:`
     },
 
     /**
-     * Load settings from localStorage
+     * Load settings from localStorage (decrypted by the vault if it is on)
      */
-    loadSettings() {
-        const saved = localStorage.getItem('notionlite_llm_settings');
-        if (saved) {
-            try {
-                const settings = JSON.parse(saved);
+    async loadSettings() {
+        try {
+            const settings = await Vault.readLocal('notionlite_llm_settings');
+            if (settings) {
                 this.currentProvider = settings.provider || 'openai';
                 this.apiKey = settings.apiKey || '';
-            } catch (e) {
-                console.error('Failed to load LLM settings:', e);
             }
+        } catch (e) {
+            console.error('Failed to load LLM settings:', e);
         }
     },
 
@@ -192,10 +191,10 @@ Return ONLY the markdown outline:`
         this.currentProvider = document.getElementById('llmProviderSelect').value;
         this.apiKey = document.getElementById('llmApiKeyInput').value.trim();
 
-        localStorage.setItem('notionlite_llm_settings', JSON.stringify({
+        Vault.writeLocal('notionlite_llm_settings', {
             provider: this.currentProvider,
             apiKey: this.apiKey
-        }));
+        });
 
         this.hideSettings();
     },
@@ -259,27 +258,38 @@ Return ONLY the markdown outline:`
      * Show smart actions panel
      */
     showSmartActions() {
+        if (!this.checkReady()) return;
+
+        // Analyze content and get suggested actions
+        const content = Editor.getContent();
+        const suggestedActions = this.analyzeContent(content);
+
+        // Render actions panel
+        this.renderActionsPanel(suggestedActions);
+    },
+
+    /**
+     * Check that smart actions can run on the open page, telling the user why not
+     * @returns {boolean} True if a note with content is open and the AI is configured
+     */
+    checkReady() {
         if (!App.currentPageId) {
             alert('No note is currently open.');
-            return;
+            return false;
         }
 
         if (!this.isConfigured()) {
             this.showSettings();
-            return;
+            return false;
         }
 
         const content = Editor.getContent();
         if (!content || content.trim().length < 5) {
             alert('Add some content to your note first.');
-            return;
+            return false;
         }
 
-        // Analyze content and get suggested actions
-        const suggestedActions = this.analyzeContent(content);
-
-        // Render actions panel
-        this.renderActionsPanel(suggestedActions);
+        return true;
     },
 
     /**
@@ -331,7 +341,7 @@ Return ONLY the markdown outline:`
     /**
      * Execute a smart action
      * @param {string} actionKey - Action key
-     * @param {HTMLElement} btn - Button element
+     * @param {HTMLElement} [btn] - Button to show progress on
      */
     async executeAction(actionKey, btn) {
         const action = this.smartActions[actionKey];
@@ -343,14 +353,20 @@ Return ONLY the markdown outline:`
         this.showLoading(action.label);
 
         // Show button loading state
-        const originalContent = btn.innerHTML;
-        btn.innerHTML = '<span class="loading-spinner"></span> Processing...';
-        btn.disabled = true;
+        const originalContent = btn ? btn.innerHTML : '';
+        if (btn) {
+            btn.innerHTML = '<span class="loading-spinner"></span> Processing...';
+            btn.disabled = true;
+        }
 
         try {
             const result = await this.callLLM(action.prompt + '\n\n' + content);
 
             if (result) {
+                // Keep the current content in version history before changing it
+                Editor.save();
+                await Versions.snapshot(Storage.getPage(App.currentPageId), `Before ${action.label}`);
+
                 // Replace or insert content based on action
                 if (actionKey === 'summarize') {
                     this.insertSummary(result);
@@ -366,8 +382,10 @@ Return ONLY the markdown outline:`
             alert('Action failed: ' + error.message);
         } finally {
             this.hideLoading();
-            btn.innerHTML = originalContent;
-            btn.disabled = false;
+            if (btn) {
+                btn.innerHTML = originalContent;
+                btn.disabled = false;
+            }
         }
     },
 
@@ -0,0 +1,112 @@
+/**
+ * Migrations Module - Upgrade stored data and old backups to the current schema
+ * Each migration takes data in the JSON export shape ({ pages, folders, smartFolders, settings },
+ * pages and folders keyed by ID) from the previous version and upgrades it in place.
+ */
+
+const Migrations = {
+    BACKUPS_KEPT: 3,
+
+    // Ordered by target version; the last one must match Storage.SCHEMA_VERSION
+    LIST: [
+        {
+            version: 2,
+            description: 'Fill in page and folder fields that older data may lack',
+            migrate(data) {
+                Object.values(data.pages || {}).forEach(page => {
+                    if (!page || typeof page !== 'object') return;
+
+                    if (page.voiceMemos === undefined) page.voiceMemos = [];
+                    if (page.title === undefined || page.title === '') page.title = 'Untitled';
+                    if (page.content === undefined) page.content = '';
+                    if (page.folderId === undefined) page.folderId = null;
+                    if (!page.updatedAt) page.updatedAt = page.createdAt || new Date().toISOString();
+                    if (!page.createdAt) page.createdAt = page.updatedAt;
+                });
+
+                Object.values(data.folders || {}).forEach(folder => {
+                    if (!folder || typeof folder !== 'object') return;
+
+                    if (folder.parentId === undefined) folder.parentId = null;
+                });
+            }
+        }
+    ],
+
+    /**
+     * Bring the stored data up to the current schema version.
+     * A backup of all data is saved before each migration; if that fails, migrating stops.
+     * @returns {Promise} Resolves when done
+     */
+    async run() {
+        let version = await Storage.getSchemaVersion();
+        const pending = this.getPending(version);
+
+        if (pending.length === 0) {
+            if (version === Storage.SCHEMA_VERSION) {
+                await Storage.setSchemaVersion(version);
+            }
+            return;
+        }
+
+        for (const migration of pending) {
+            const data = Storage.getRawData();
+
+            try {
+                await Storage.saveBackup({
+                    schemaVersion: version,
+                    data: JSON.stringify({ schemaVersion: version, ...data })
+                });
+            } catch (e) {
+                console.error(`Backup before migration to schema ${migration.version} failed, not migrating:`, e);
+                return;
+            }
+
+            try {
+                migration.migrate(data);
+                await Storage.writeRawData(data, migration.version);
+            } catch (e) {
+                console.error(`Migration to schema ${migration.version} failed:`, e);
+                return;
+            }
+            version = migration.version;
+            console.log(`Migrated data to schema ${version}: ${migration.description}`);
+        }
+
+        await this.pruneBackups();
+    },
+
+    /**
+     * Upgrade data from an older export in place
+     * @param {Object} data - Parsed export
+     * @param {number} version - Schema version of the export
+     * @returns {Object} The same data, at the current schema version
+     */
+    upgrade(data, version) {
+        this.getPending(version).forEach(migration => {
+            migration.migrate(data);
+        });
+        data.schemaVersion = Storage.SCHEMA_VERSION;
+        return data;
+    },
+
+    /**
+     * Get the migrations that still have to run
+     * @param {number} version - Current schema version of the data
+     * @returns {Array} Migrations, in order
+     */
+    getPending(version) {
+        return this.LIST.filter(migration => migration.version > version);
+    },
+
+    /**
+     * Keep only the most recent pre-migration backups
+     */
+    async pruneBackups() {
+        const backups = await Storage.getBackups();
+        const old = backups.slice(this.BACKUPS_KEPT);
+        if (old.length > 0) {
+            await Storage.deleteBackups(old.map(backup => backup.id));
+        }
+    }
+};
@@ -0,0 +1,355 @@
+/**
+ * Palette Module - Ctrl/Cmd+K quick switcher and command palette
+ * Fuzzy-matches page titles (with their folder path) and commands, and
+ * ranks recently picked items first.
+ */
+
+const Palette = {
+    MAX_ITEMS: 50,
+    MAX_RECENT: 10,
+
+    modal: null,
+    input: null,
+    list: null,
+    mode: 'all',   // 'all' for pages and commands, 'folders' when picking where to move the open page
+    items: [],     // Items shown, best first
+    selected: 0,
+
+    /**
+     * Initialize the palette
+     */
+    init() {
+        this.modal = document.getElementById('paletteModal');
+        this.input = document.getElementById('paletteInput');
+        this.list = document.getElementById('paletteList');
+        this.bindEvents();
+    },
+
+    /**
+     * Bind the shortcut and palette events
+     */
+    bindEvents() {
+        document.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                if (this.modal.classList.contains('hidden')) {
+                    this.show();
+                } else {
+                    this.hide();
+                }
+            }
+        });
+
+        this.input.addEventListener('input', () => {
+            this.render();
+        });
+
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (this.items.length === 0) return;
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                this.select((this.selected + step + this.items.length) % this.items.length);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.run(this.items[this.selected]);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.hide();
+            }
+        });
+
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.hide();
+            }
+        });
+    },
+
+    /**
+     * Open the palette
+     * @param {string} [mode] - 'all' or 'folders'
+     */
+    show(mode = 'all') {
+        this.mode = mode;
+        this.input.value = '';
+        this.input.placeholder = mode === 'folders' ? 'Move page to folder...' : 'Search pages and commands...';
+        this.modal.classList.remove('hidden');
+        this.render();
+        this.input.focus();
+    },
+
+    /**
+     * Close the palette
+     */
+    hide() {
+        this.modal.classList.add('hidden');
+    },
+
+    // ============================================
+    // Items
+    // ============================================
+
+    /**
+     * Get everything the palette can pick in the current mode
+     * @returns {Array} Items { id, icon, label, detail, run }; detail is shown before the label and matched with it
+     */
+    getItems() {
+        if (this.mode === 'folders') {
+            return this.getFolderItems();
+        }
+
+        const pages = Object.values(Storage.getAllPages())
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+            .map(page => ({
+                id: `page:${page.id}`,
+                icon: '📄',
+                label: page.title || 'Untitled',
+                detail: Storage.getFolderPathText(page.folderId),
+                run: () => App.openPage(page.id)
+            }));
+
+        return [...this.getCommands(), ...pages];
+    },
+
+    /**
+     * Get the commands available right now
+     * @returns {Array} Items
+     */
+    getCommands() {
+        const commands = [
+            { id: 'cmd:new-page', icon: '＋', label: 'New page', run: () => Sidebar.createNewPage() },
+            { id: 'cmd:new-folder', icon: '📁', label: 'New folder', run: () => Sidebar.createNewFolder() },
+            { id: 'cmd:graph', icon: '🕸', label: 'Open graph view', run: () => Graph.show() },
+            { id: 'cmd:replace-all', icon: '🔁', label: 'Find and replace in all pages', run: () => Replace.show('all') },
+            { id: 'cmd:toggle-theme', icon: '◐', label: 'Toggle theme', run: () => App.toggleTheme() },
+            { id: 'cmd:ai-settings', icon: '⚙', label: 'AI settings', run: () => LLM.showSettings() }
+        ];
+
+        if (Replace.lastReplace) {
+            commands.push({ id: 'cmd:undo-replace', icon: '↶', label: 'Undo last replace', run: () => { Replace.show(); Replace.undo(); } });
+        }
+
+        if (!App.currentPageId) {
+            return commands;
+        }
+
+        commands.push({ id: 'cmd:local-graph', icon: '🕸', label: 'Open local graph', run: () => Graph.show(true) });
+        commands.push({ id: 'cmd:replace-page', icon: '🔁', label: 'Find and replace in page', run: () => Replace.show('page') });
+
+        if (!Voice.isRecording) {
+            commands.push({ id: 'cmd:record', icon: '🎤', label: 'Start recording', run: () => Voice.startRecording() });
+        }
+
+        commands.push({ id: 'cmd:move', icon: '📂', label: 'Move page to folder...', run: () => this.show('folders') });
+
+        Object.entries(LLM.smartActions).forEach(([key, action]) => {
+            commands.push({
+                id: `ai:${key}`,
+                icon: action.icon,
+                label: `AI: ${action.label}`,
+                run: () => {
+                    if (LLM.checkReady()) {
+                        LLM.executeAction(key);
+                    }
+                }
+            });
+        });
+
+        return commands;
+    },
+
+    /**
+     * Get the folders the open page can be moved to
+     * @returns {Array} Items
+     */
+    getFolderItems() {
+        const pageId = App.currentPageId;
+        const moveTo = folderId => () => {
+            Sidebar.moveItem('page', pageId, folderId);
+            const page = Storage.getPage(pageId);
+            if (page && App.currentPageId === pageId) {
+                App.updateBreadcrumb(page);
+            }
+        };
+
+        const folders = Object.values(Storage.getAllFolders())
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(folder => ({
+                id: `folder:${folder.id}`,
+                icon: '📁',
+                label: folder.name,
+                detail: Storage.getFolderPathText(folder.parentId),
+                run: moveTo(folder.id)
+            }));
+
+        return [{ id: 'folder:', icon: '📂', label: 'Root (No folder)', detail: '', run: moveTo(null) }, ...folders];
+    },
+
+    /**
+     * Get the IDs of recently picked items
+     * @returns {Array} Item IDs, most recent first
+     */
+    getRecent() {
+        return Storage.getSettings().paletteRecent || [];
+    },
+
+    /**
+     * Remember a picked item
+     * @param {string} id - Item ID
+     */
+    addRecent(id) {
+        const settings = Storage.getSettings();
+        settings.paletteRecent = [id, ...this.getRecent().filter(recentId => recentId !== id)].slice(0, this.MAX_RECENT);
+        Storage.saveSettings(settings);
+    },
+
+    // ============================================
+    // Matching
+    // ============================================
+
+    /**
+     * Match and rank the items against the typed text. Recently picked items come first.
+     * @param {string} text - Typed text
+     * @returns {Array} Items with { positions } of the matched characters, best first
+     */
+    filter(text) {
+        const recent = this.getRecent();
+        const rank = item => {
+            const index = recent.indexOf(item.id);
+            return index === -1 ? recent.length : index;
+        };
+
+        const matches = [];
+        this.getItems().forEach((item, order) => {
+            const match = Search.fuzzyMatch(text, this.getMatchText(item), this.getLabelStart(item));
+            if (match) {
+                matches.push({ ...item, score: match.score, positions: match.positions, order: order });
+            }
+        });
+
+        // With nothing typed, keep the items in their own order (commands, then recently edited pages)
+        return matches
+            .sort((a, b) => rank(a) - rank(b) || (text.trim() ? b.score - a.score : 0) || a.order - b.order)
+            .slice(0, this.MAX_ITEMS);
+    },
+
+    /**
+     * Get the text an item is matched against
+     * @param {Object} item - Item
+     * @returns {string} Folder path and label
+     */
+    getMatchText(item) {
+        return item.detail ? `${item.detail} / ${item.label}` : item.label;
+    },
+
+    /**
+     * Get where the label starts in the match text
+     * @param {Object} item - Item
+     * @returns {number} Character position
+     */
+    getLabelStart(item) {
+        return item.detail ? [...item.detail].length + 3 : 0;
+    },
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    /**
+     * Show the items matching the typed text
+     */
+    render() {
+        this.items = this.filter(this.input.value);
+        this.list.innerHTML = '';
+
+        if (this.items.length === 0) {
+            this.list.innerHTML = '<div class="palette-empty">No matches</div>';
+            return;
+        }
+
+        const recent = this.getRecent();
+
+        this.items.forEach((item, index) => {
+            const element = document.createElement('div');
+            element.className = 'palette-item';
+
+            const matched = new Set(item.positions);
+            const detailHtml = item.detail
+                ? `<span class="palette-detail">${this.highlight(item.detail, matched, 0)}</span>`
+                : '';
+
+            element.innerHTML = `
+                <span class="palette-icon">${item.icon}</span>
+                <span class="palette-text">${detailHtml}<span class="palette-label">${this.highlight(item.label, matched, this.getLabelStart(item))}</span></span>
+                ${recent.includes(item.id) ? '<span class="palette-recent">Recent</span>' : ''}
+            `;
+
+            element.addEventListener('mousemove', () => {
+                if (this.selected !== index) {
+                    this.select(index);
+                }
+            });
+            element.addEventListener('click', () => {
+                this.run(item);
+            });
+
+            this.list.appendChild(element);
+        });
+
+        this.select(0);
+    },
+
+    /**
+     * Highlight the selected item
+     * @param {number} index - Item index
+     */
+    select(index) {
+        const elements = this.list.querySelectorAll('.palette-item');
+        if (elements.length === 0) return;
+
+        elements[this.selected]?.classList.remove('selected');
+        this.selected = index;
+        elements[index].classList.add('selected');
+        elements[index].scrollIntoView({ block: 'nearest' });
+    },
+
+    /**
+     * Escape text and mark the matched characters
+     * @param {string} text - Text
+     * @param {Set} positions - Matched character positions in the match text
+     * @param {number} offset - Where the text starts in the match text
+     * @returns {string} HTML
+     */
+    highlight(text, positions, offset) {
+        return [...text].map((char, i) => {
+            const html = this.escapeHtml(char);
+            return positions.has(offset + i) ? `<mark>${html}</mark>` : html;
+        }).join('');
+    },
+
+    /**
+     * Pick an item
+     * @param {Object} item - Item
+     */
+    run(item) {
+        if (!item) return;
+
+        if (this.mode === 'all') {
+            this.addRecent(item.id);
+        }
+        this.hide();
+        item.run();
+    },
+
+    /**
+     * Escape HTML special characters
+     * @param {string} str - String to escape
+     * @returns {string} Escaped string
+     */
+    escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+};
@@ -0,0 +1,236 @@
+/**
+ * Preview Module - Floating preview cards for page links
+ * Resting the pointer on a [[link]] in the editor shows the linked page's
+ * first blocks; links inside a card open cards of their own. A link to a
+ * page that doesn't exist yet offers to create it in a chosen folder.
+ */
+
+const Preview = {
+    HOVER_DELAY: 500,  // ms the pointer rests on a link before its card opens
+    HIDE_DELAY: 300,   // ms before cards close once the pointer has left them
+    MAX_BLOCKS: 5,
+
+    cards: [],         // Open cards { element, link }, outermost first
+    timer: null,
+
+    /**
+     * Watch the pointer over links and cards
+     */
+    init() {
+        document.addEventListener('mouseover', (e) => {
+            this.handlePointer(e.target);
+        });
+
+        // Clicking outside the cards closes them, even one with a focused folder list
+        document.addEventListener('mousedown', (e) => {
+            if (!e.target.closest('.link-preview')) {
+                this.hide(0, true);
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.cards.length > 0) {
+                this.hide(0, true);
+            }
+        });
+
+        window.addEventListener('resize', () => {
+            this.hide(0, true);
+        });
+    },
+
+    /**
+     * Decide which cards to keep, open or close for the element under the pointer
+     * @param {Element} target - Element the pointer entered
+     */
+    handlePointer(target) {
+        clearTimeout(this.timer);
+
+        // Cards up to the one under the pointer stay open
+        const card = target.closest('.link-preview');
+        const keep = card ? this.cards.findIndex(item => item.element === card) + 1 : 0;
+
+        const link = target.closest('.page-link');
+        if (link && (card || link.closest('#blockEditor'))) {
+            if (this.cards[keep]?.link === link) return;
+            this.timer = setTimeout(() => this.open(link, keep), this.HOVER_DELAY);
+        } else if (this.cards.length > keep) {
+            this.timer = setTimeout(() => this.hide(keep), this.HIDE_DELAY);
+        }
+    },
+
+    // ============================================
+    // Cards
+    // ============================================
+
+    /**
+     * Open the card for a link, closing any deeper cards
+     * @param {HTMLElement} link - Rendered .page-link
+     * @param {number} level - Nesting level: 0 for a link in the editor, n for a link in the nth card
+     */
+    open(link, level) {
+        if (!link.isConnected) return;
+        this.hide(level, true);
+
+        const element = document.createElement('div');
+        element.className = 'link-preview';
+
+        const page = link.dataset.pageId ? Storage.getPage(link.dataset.pageId) : null;
+        if (page) {
+            this.renderPage(element, page, link.dataset.heading, link.dataset.blockId);
+        } else if (!link.dataset.pageId && link.dataset.pageName) {
+            this.renderCreate(element, link.dataset.pageName);
+        } else {
+            return;
+        }
+
+        document.body.appendChild(element);
+        this.position(element, link.getBoundingClientRect());
+        this.cards.push({ element: element, link: link });
+    },
+
+    /**
+     * Fill a card with a page's title, folder, first blocks and last edit time.
+     * A heading or block link previews from that block on.
+     * @param {HTMLElement} element - Card element
+     * @param {Object} page - Linked page
+     * @param {string} [heading] - Heading the link points at
+     * @param {string} [blockId] - Block ID the link points at
+     */
+    renderPage(element, page, heading, blockId) {
+        const path = Storage.getFolderPathText(page.folderId);
+        element.innerHTML = `
+            <div class="link-preview-header">
+                <div class="link-preview-title">${this.escapeHtml(page.title || 'Untitled')}</div>
+                ${path ? `<div class="link-preview-path">📁 ${this.escapeHtml(path)}</div>` : ''}
+            </div>
+            <div class="link-preview-body"></div>
+            <div class="link-preview-footer">Updated ${new Date(page.updatedAt).toLocaleString()}</div>
+        `;
+
+        element.querySelector('.link-preview-title').addEventListener('click', () => {
+            this.hide(0, true);
+            Linking.openLink(page.id, heading, blockId);
+        });
+
+        const blocks = Editor.parseBlocks(page.content).filter(content => content.trim() !== '');
+        const start = Math.max(0, this.findAnchor(blocks, heading, blockId));
+        const body = element.querySelector('.link-preview-body');
+
+        blocks.slice(start, start + this.MAX_BLOCKS).forEach(content => {
+            const rendered = document.createElement('div');
+            rendered.className = 'block-rendered';
+            Editor.renderBlockContent(rendered, { content: content });
+            body.appendChild(rendered);
+        });
+
+        if (blocks.length === 0) {
+            body.innerHTML = '<div class="link-preview-empty">Empty page</div>';
+        } else if (blocks.length > start + this.MAX_BLOCKS) {
+            body.insertAdjacentHTML('beforeend', '<div class="link-preview-empty">…</div>');
+        }
+
+        // Following a link inside the card leaves the page the cards belong to
+        body.addEventListener('click', (e) => {
+            if (e.target.closest('.page-link')) {
+                this.hide(0, true);
+            }
+        });
+    },
+
+    /**
+     * Fill a card for a link to a page that doesn't exist, with a folder to create it in
+     * @param {HTMLElement} element - Card element
+     * @param {string} title - Linked title
+     */
+    renderCreate(element, title) {
+        const currentPage = Storage.getPage(App.currentPageId);
+        const currentFolderId = currentPage ? currentPage.folderId : null;
+
+        const folders = Object.values(Storage.getAllFolders())
+            .map(folder => ({ id: folder.id, path: Storage.getFolderPathText(folder.id) }))
+            .sort((a, b) => a.path.localeCompare(b.path));
+
+        element.innerHTML = `
+            <div class="link-preview-header">
+                <div class="link-preview-title new-page">＋ Create page "${this.escapeHtml(title)}"</div>
+            </div>
+            <div class="link-preview-create">
+                <label for="linkPreviewFolder${this.cards.length}">Folder</label>
+                <select id="linkPreviewFolder${this.cards.length}">
+                    <option value="">No folder</option>
+                    ${folders.map(folder => `
+                        <option value="${folder.id}" ${folder.id === currentFolderId ? 'selected' : ''}>${this.escapeHtml(folder.path)}</option>
+                    `).join('')}
+                </select>
+                <button class="small-btn">Create</button>
+            </div>
+        `;
+
+        element.querySelector('button').addEventListener('click', () => {
+            const folderId = element.querySelector('select').value || null;
+            this.hide(0, true);
+            Linking.createPageFromLink(title, folderId);
+        });
+    },
+
+    /**
+     * Find the block a heading or block link points at
+     * @param {Array} blocks - Block contents
+     * @param {string} [heading] - Heading text; case and extra spaces are ignored
+     * @param {string} [blockId] - Block ID
+     * @returns {number} Block index, or -1
+     */
+    findAnchor(blocks, heading, blockId) {
+        if (blockId) {
+            return blocks.findIndex(content => Linking.getBlockId(content) === blockId);
+        }
+        if (heading) {
+            const normalize = text => text.toLowerCase().replace(/\s+/g, ' ').trim();
+            const wanted = normalize(heading);
+            return blocks.findIndex(content => Linking.getHeadings(content).some(text => normalize(text) === wanted));
+        }
+        return -1;
+    },
+
+    /**
+     * Place a card under its link, or above it when there's no room below
+     * @param {HTMLElement} element - Card element
+     * @param {DOMRect} rect - Link position
+     */
+    position(element, rect) {
+        const width = element.offsetWidth;
+        const height = element.offsetHeight;
+        const below = rect.bottom + 6;
+        const above = rect.top - height - 6;
+
+        element.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - width - 8))}px`;
+        element.style.top = `${below + height > window.innerHeight - 8 && above > 8 ? above : below}px`;
+    },
+
+    /**
+     * Close the cards from a nesting level on
+     * @param {number} level - First level to close
+     * @param {boolean} [force] - Also close a card whose folder list is in use
+     */
+    hide(level, force = false) {
+        clearTimeout(this.timer);
+
+        const closing = this.cards.slice(level);
+        if (!force && closing.some(card => card.element.contains(document.activeElement))) return;
+
+        closing.forEach(card => card.element.remove());
+        this.cards = this.cards.slice(0, level);
+    },
+
+    /**
+     * Escape HTML special characters
+     * @param {string} str - String to escape
+     * @returns {string} Escaped string
+     */
+    escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+};
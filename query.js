@@ -0,0 +1,372 @@
+/**
+ * Query Module - Search query language
+ * Parses sidebar search text into a tree and checks pages against it.
+ *
+ *   word "exact phrase"     text anywhere in the title, content or voice memo transcripts (words match prefixes)
+ *   title:word              text in the title
+ *   in:"Folder"             pages in a folder or its subfolders
+ *   tag:name                pages with a #tag, or a tag nested under it (tag:project finds #project/alpha)
+ *   has:memo                pages with voice memos
+ *   links:"Page"            pages that link to a page
+ *   linkedfrom:"Page"       pages that a page links to
+ *   updated:>2026-01-01     last edit after, before (<) or on (=) a date; >= and <= too
+ *   -term                   leave out matches
+ *   a OR b, ( )             either side; terms next to each other must all match
+ */
+
+const Query = {
+    FIELDS: ['title', 'in', 'tag', 'has', 'links', 'linkedfrom', 'updated'],
+    HAS_VALUES: ['memo'],
+
+    // ============================================
+    // Parsing
+    // ============================================
+
+    /**
+     * Parse search text
+     * @param {string} text - Search text
+     * @returns {Object|null} Query tree, or null if the text is empty
+     * @throws {Error} With a message to show under the search box
+     */
+    parse(text) {
+        const tokens = this.tokenize(text);
+        if (tokens.length === 0) return null;
+
+        const state = { tokens: tokens, pos: 0, depth: 0 };
+        return this.parseOr(state);
+    },
+
+    /**
+     * Split search text into tokens
+     * @param {string} text - Search text
+     * @returns {Array} Tokens { type: 'open'|'close'|'not'|'or'|'term', ... }
+     */
+    tokenize(text) {
+        const tokens = [];
+        let i = 0;
+
+        const readPhrase = () => {
+            const end = text.indexOf('"', i + 1);
+            if (end === -1) {
+                throw new Error('Missing closing quote');
+            }
+            const phrase = text.slice(i + 1, end);
+            i = end + 1;
+            return phrase;
+        };
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (/\s/.test(char)) {
+                i++;
+            } else if (char === '(') {
+                tokens.push({ type: 'open' });
+                i++;
+            } else if (char === ')') {
+                tokens.push({ type: 'close' });
+                i++;
+            } else if (char === '-' && i + 1 < text.length && !/[\s)]/.test(text[i + 1])) {
+                tokens.push({ type: 'not' });
+                i++;
+            } else if (char === '"') {
+                tokens.push({ type: 'term', field: null, value: readPhrase(), phrase: true });
+            } else {
+                let end = i;
+                while (end < text.length && !/[\s()"]/.test(text[end])) end++;
+                const word = text.slice(i, end);
+                i = end;
+
+                const colon = word.indexOf(':');
+                const field = colon > 0 ? word.slice(0, colon).toLowerCase() : null;
+
+                if (word === 'OR') {
+                    tokens.push({ type: 'or' });
+                } else if (field && this.FIELDS.includes(field)) {
+                    let value = word.slice(colon + 1);
+                    let phrase = false;
+                    if (value === '' && text[i] === '"') {
+                        value = readPhrase();
+                        phrase = true;
+                    }
+                    tokens.push(this.createFieldTerm(field, value, phrase));
+                } else {
+                    tokens.push({ type: 'term', field: null, value: word, phrase: false });
+                }
+            }
+        }
+
+        return tokens;
+    },
+
+    /**
+     * Check and prepare the value of a field:value term
+     * @param {string} field - Field name
+     * @param {string} value - Value as typed
+     * @param {boolean} phrase - Whether the value was quoted
+     * @returns {Object} Term token
+     */
+    createFieldTerm(field, value, phrase) {
+        if (!value.trim()) {
+            throw new Error(`${field}: needs a value`);
+        }
+
+        const term = { type: 'term', field: field, value: value, phrase: phrase };
+
+        if (field === 'has' && !this.HAS_VALUES.includes(value.toLowerCase())) {
+            throw new Error(`Unknown has: value "${value}" (try has:memo)`);
+        }
+
+        if (field === 'updated') {
+            const match = value.match(/^(>=|<=|>|<|=)?(\d{4})-(\d{2})-(\d{2})$/);
+            const date = match ? new Date(Number(match[2]), Number(match[3]) - 1, Number(match[4])) : null;
+            if (!date || date.getMonth() !== Number(match[3]) - 1 || date.getDate() !== Number(match[4])) {
+                throw new Error('updated: needs a date like 2026-01-01, optionally after >, <, >= or <=');
+            }
+            term.op = match[1] || '=';
+            term.date = date;
+        }
+
+        return term;
+    },
+
+    /**
+     * Parse terms separated by OR
+     * @param {Object} state - { tokens, pos, depth } - depth counts open parentheses
+     * @returns {Object} Query tree
+     */
+    parseOr(state) {
+        const children = [this.parseAnd(state)];
+
+        while (this.peek(state, 'or')) {
+            state.pos++;
+            if (state.pos >= state.tokens.length || this.peek(state, 'or') || this.peek(state, 'close')) {
+                throw new Error('OR needs a search term on both sides');
+            }
+            children.push(this.parseAnd(state));
+        }
+
+        return children.length === 1 ? children[0] : { type: 'or', children: children };
+    },
+
+    /**
+     * Parse terms that must all match
+     * @param {Object} state - { tokens, pos }
+     * @returns {Object} Query tree
+     */
+    parseAnd(state) {
+        const children = [];
+
+        while (state.pos < state.tokens.length && !this.peek(state, 'or') && !this.peek(state, 'close')) {
+            children.push(this.parseUnary(state));
+        }
+
+        if (this.peek(state, 'close') && state.depth === 0) {
+            throw new Error('Unmatched ")"');
+        }
+        if (children.length === 0) {
+            throw new Error(this.peek(state, 'or') ? 'OR needs a search term on both sides' : 'Empty parentheses');
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children: children };
+    },
+
+    /**
+     * Parse a term, a negated term or a group in parentheses
+     * @param {Object} state - { tokens, pos }
+     * @returns {Object} Query tree
+     */
+    parseUnary(state) {
+        const token = state.tokens[state.pos++];
+
+        if (token.type === 'not') {
+            if (state.pos >= state.tokens.length || this.peek(state, 'or') || this.peek(state, 'close')) {
+                throw new Error('"-" needs a search term after it');
+            }
+            return { type: 'not', child: this.parseUnary(state) };
+        }
+
+        if (token.type === 'open') {
+            state.depth++;
+            const tree = this.parseOr(state);
+            if (!this.peek(state, 'close')) {
+                throw new Error('Missing ")"');
+            }
+            state.pos++;
+            state.depth--;
+            return tree;
+        }
+
+        return token;
+    },
+
+    /**
+     * Check the type of the next token
+     * @param {Object} state - { tokens, pos }
+     * @param {string} type - Token type
+     * @returns {boolean} True if the next token has that type
+     */
+    peek(state, type) {
+        return state.pos < state.tokens.length && state.tokens[state.pos].type === type;
+    },
+
+    /**
+     * Get the words that count towards ranking and highlighting: free text and title: values that aren't negated
+     * @param {Object} tree - Query tree
+     * @returns {Array} Folded words
+     */
+    getTerms(tree) {
+        if (tree.type === 'not') return [];
+        if (tree.children) {
+            return [...new Set(tree.children.flatMap(child => this.getTerms(child)))];
+        }
+        return tree.field === null || tree.field === 'title' ? Search.tokenize(tree.value) : [];
+    },
+
+    // ============================================
+    // Matching
+    // ============================================
+
+    /**
+     * Check whether a page matches a query
+     * @param {Object} tree - Query tree
+     * @param {Object} page - Page object
+     * @param {Object} context - Lookups shared by all pages of one search, from createContext()
+     * @returns {boolean} True if the page matches
+     */
+    matches(tree, page, context) {
+        switch (tree.type) {
+            case 'and':
+                return tree.children.every(child => this.matches(child, page, context));
+            case 'or':
+                return tree.children.some(child => this.matches(child, page, context));
+            case 'not':
+                return !this.matches(tree.child, page, context);
+            default:
+                return this.matchesTerm(tree, page, context);
+        }
+    },
+
+    /**
+     * Check a single term against a page
+     * @param {Object} term - Term token
+     * @param {Object} page - Page object
+     * @param {Object} context - Search context
+     * @returns {boolean} True if the page matches
+     */
+    matchesTerm(term, page, context) {
+        const value = term.value.trim().toLowerCase();
+
+        switch (term.field) {
+            case null:
+                return this.matchesText(term, `${page.title}\n${page.content}\n${Search.getTranscripts(page)}`, page.id, context);
+            case 'title':
+                return this.matchesText(term, page.title, null, context);
+            case 'in':
+                return context.getFolderIds(value).has(page.folderId);
+            case 'tag':
+                return Tags.hasTag(page.id, value);
+            case 'has':
+                return page.voiceMemos.length > 0;
+            case 'links':
+                return context.getLinkTargets(page).has(value);
+            case 'linkedfrom': {
+                const source = Linking.findPageByTitle(value);
+                return !!source && source.id !== page.id && context.getLinkTargets(source).has(page.title.trim().toLowerCase());
+            }
+            case 'updated':
+                return this.matchesDate(term, new Date(page.updatedAt));
+        }
+        return false;
+    },
+
+    /**
+     * Check a free-text or title: term. Words match the start of a word, phrases match anywhere.
+     * @param {Object} term - Term token
+     * @param {string} text - Text to search
+     * @param {string|null} pageId - Page ID when the text is the whole page, so the index can answer
+     * @param {Object} context - Search context
+     * @returns {boolean} True if the text matches
+     */
+    matchesText(term, text, pageId, context) {
+        const words = Search.tokenize(term.value);
+        if (words.length === 0) return true;
+
+        // Phrases start at the start of a word, like single words
+        if (term.phrase || words.length > 1) {
+            return ` ${Search.tokenize(text).join(' ')}`.includes(` ${words.join(' ')}`);
+        }
+        if (pageId) {
+            return context.getPagesWithWord(words[0]).has(pageId);
+        }
+        return Search.tokenize(text).some(word => word.startsWith(words[0]));
+    },
+
+    /**
+     * Check an updated: term
+     * @param {Object} term - Term token with op and date (start of the day)
+     * @param {Date} updated - When the page was last edited
+     * @returns {boolean} True if the date matches
+     */
+    matchesDate(term, updated) {
+        const start = term.date.getTime();
+        const end = new Date(term.date.getFullYear(), term.date.getMonth(), term.date.getDate() + 1).getTime();
+        const time = updated.getTime();
+
+        switch (term.op) {
+            case '>': return time >= end;
+            case '>=': return time >= start;
+            case '<': return time < start;
+            case '<=': return time < end;
+            default: return time >= start && time < end;
+        }
+    },
+
+    /**
+     * Create the lookups for one search, computed on first use
+     * @returns {Object} { getPagesWithWord(word), getFolderIds(name), getLinkTargets(page) }
+     */
+    createContext() {
+        const words = new Map();
+        const folders = new Map();
+        const links = new Map();
+
+        return {
+            getPagesWithWord(word) {
+                if (!words.has(word)) {
+                    words.set(word, Search.getPagesWithWord(word));
+                }
+                return words.get(word);
+            },
+
+            // Folders with this name and everything inside them
+            getFolderIds(name) {
+                if (!folders.has(name)) {
+                    const ids = new Set();
+                    const add = folderId => {
+                        ids.add(folderId);
+                        Storage.getChildFolders(folderId).forEach(child => add(child.id));
+                    };
+                    Object.values(Storage.getAllFolders())
+                        .filter(folder => folder.name.trim().toLowerCase() === name)
+                        .forEach(folder => add(folder.id));
+                    folders.set(name, ids);
+                }
+                return folders.get(name);
+            },
+
+            // Lowercased titles a page links to
+            getLinkTargets(page) {
+                if (!links.has(page.id)) {
+                    const targets = new Set();
+                    const regex = new RegExp(Linking.linkPattern.source, 'g');
+                    let match;
+                    while ((match = regex.exec(page.content)) !== null) {
+                        targets.add(Linking.parseLink(match[1]).target.toLowerCase());
+                    }
+                    links.set(page.id, targets);
+                }
+                return links.get(page.id);
+            }
+        };
+    }
+};
@@ -0,0 +1,445 @@
+/**
+ * Replace Module - Find and replace in the open page or the whole workspace
+ * Lists every match with its context, grouped by page, so each one can be
+ * accepted or skipped; the last replace can be undone.
+ */
+
+const Replace = {
+    CONTEXT_CHARS: 40,
+
+    modal: null,
+    results: [],         // [{ page, items: [{ key, start, end, text, replacement }] }] from the last scan
+    skipped: new Set(),  // Keys of matches that won't be replaced
+    error: null,         // Invalid regex message
+    notice: null,        // Outcome of the last replace or undo, shown until the next search
+    lastReplace: null,   // [{ pageId, title, before, after }] to undo
+
+    /**
+     * Initialize find and replace
+     */
+    init() {
+        this.modal = document.getElementById('replaceModal');
+        this.bindEvents();
+    },
+
+    /**
+     * Bind modal events
+     */
+    bindEvents() {
+        document.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.shiftKey && !e.altKey && e.key.toLowerCase() === 'f') {
+                e.preventDefault();
+                this.show();
+            }
+        });
+
+        ['findInput', 'replaceCaseInput', 'replaceWordInput', 'replaceRegexInput', 'replaceScopeSelect'].forEach(id => {
+            const eventName = id === 'findInput' ? 'input' : 'change';
+            document.getElementById(id).addEventListener(eventName, () => {
+                this.scan();
+            });
+        });
+
+        // A new replacement doesn't change which matches were skipped
+        document.getElementById('replaceInput').addEventListener('input', () => {
+            this.scan(true);
+        });
+
+        document.getElementById('replaceApplyBtn').addEventListener('click', () => {
+            this.apply();
+        });
+
+        document.getElementById('replaceUndoBtn').addEventListener('click', () => {
+            this.undo();
+        });
+
+        document.getElementById('closeReplaceBtn').addEventListener('click', () => {
+            this.hide();
+        });
+
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.hide();
+            }
+        });
+    },
+
+    /**
+     * Show find and replace
+     * @param {string} [scope] - 'page' or 'all'; defaults to the open page if there is one
+     */
+    show(scope) {
+        // Include unsaved edits of the open page
+        Editor.save();
+
+        const scopeSelect = document.getElementById('replaceScopeSelect');
+        scopeSelect.querySelector('option[value="page"]').disabled = !App.currentPageId;
+        scopeSelect.value = App.currentPageId ? (scope || 'page') : 'all';
+
+        this.modal.classList.remove('hidden');
+        this.scan();
+
+        const findInput = document.getElementById('findInput');
+        findInput.focus();
+        findInput.select();
+    },
+
+    /**
+     * Hide find and replace
+     */
+    hide() {
+        this.modal.classList.add('hidden');
+    },
+
+    // ============================================
+    // Matching
+    // ============================================
+
+    /**
+     * Get the search options from the form
+     * @returns {Object} { find, replace, matchCase, wholeWord, regex, scope }
+     */
+    getOptions() {
+        return {
+            find: document.getElementById('findInput').value,
+            replace: document.getElementById('replaceInput').value,
+            matchCase: document.getElementById('replaceCaseInput').checked,
+            wholeWord: document.getElementById('replaceWordInput').checked,
+            regex: document.getElementById('replaceRegexInput').checked,
+            scope: document.getElementById('replaceScopeSelect').value
+        };
+    },
+
+    /**
+     * Build the regular expression for the search
+     * @param {Object} options - Options from getOptions()
+     * @returns {RegExp} Global regex
+     * @throws {SyntaxError} If the regex is invalid
+     */
+    buildRegex(options) {
+        let source = options.regex ? options.find : options.find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        let flags = options.matchCase ? 'g' : 'gi';
+
+        // \p{} needs the u flag, which is stricter about escapes, so only whole word uses it
+        if (options.wholeWord) {
+            source = `(?<![\\p{L}\\p{N}_])(?:${source})(?![\\p{L}\\p{N}_])`;
+            flags += 'u';
+        }
+        return new RegExp(source, flags);
+    },
+
+    /**
+     * Work out the replacement for one match. With regex on, $1, $<name>, $& and $$ work as in String.replace().
+     * @param {string} replacement - Replacement as typed
+     * @param {Array} match - Match from matchAll()
+     * @param {boolean} regex - Whether regex is on
+     * @returns {string} Replacement text
+     */
+    expand(replacement, match, regex) {
+        if (!regex) return replacement;
+
+        return replacement.replace(/\$(\$|&|<([^>]*)>|\d\d?)/g, (token, what, name) => {
+            if (what === '$') return '$';
+            if (what === '&') return match[0];
+            if (name !== undefined) return (match.groups && match.groups[name]) || '';
+
+            // "$12" means group 12 if there is one, otherwise group 1 followed by "2"
+            let number = Number(what);
+            let rest = '';
+            if (number >= match.length && what.length === 2) {
+                number = Number(what[0]);
+                rest = what[1];
+            }
+            if (number === 0 || number >= match.length) return token;
+            return (match[number] || '') + rest;
+        });
+    },
+
+    /**
+     * Find all matches and list them
+     * @param {boolean} [keepSkipped] - Keep the skipped matches, when only the replacement changed
+     */
+    scan(keepSkipped = false) {
+        const options = this.getOptions();
+
+        if (!keepSkipped) {
+            this.skipped.clear();
+        }
+        this.results = [];
+        this.error = null;
+        this.notice = null;
+
+        if (!options.find) {
+            this.render();
+            return;
+        }
+
+        let regex;
+        try {
+            regex = this.buildRegex(options);
+        } catch (e) {
+            this.error = e.message;
+            this.render();
+            return;
+        }
+
+        const pages = options.scope === 'page'
+            ? [Storage.getPage(App.currentPageId)].filter(Boolean)
+            : Object.values(Storage.getAllPages()).sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+
+        pages.forEach(page => {
+            const items = [];
+            for (const match of page.content.matchAll(regex)) {
+                if (match[0] === '') continue;
+                items.push({
+                    key: `${page.id}:${match.index}`,
+                    start: match.index,
+                    end: match.index + match[0].length,
+                    text: match[0],
+                    replacement: this.expand(options.replace, match, options.regex)
+                });
+            }
+            if (items.length > 0) {
+                this.results.push({ page: page, items: items });
+            }
+        });
+
+        this.render();
+    },
+
+    // ============================================
+    // Rendering
+    // ============================================
+
+    /**
+     * List the matches, grouped by page
+     */
+    render() {
+        const list = document.getElementById('replaceResults');
+        const summary = document.getElementById('replaceSummary');
+        const applyBtn = document.getElementById('replaceApplyBtn');
+        const total = this.results.reduce((sum, result) => sum + result.items.length, 0);
+        const selected = this.results.reduce((sum, result) => sum + result.items.filter(item => !this.skipped.has(item.key)).length, 0);
+
+        document.getElementById('replaceUndoBtn').classList.toggle('hidden', !this.lastReplace);
+        applyBtn.disabled = selected === 0;
+        applyBtn.textContent = selected > 0 ? `Replace ${selected}` : 'Replace';
+
+        summary.classList.toggle('error', !this.notice && !!this.error);
+        if (this.notice) {
+            summary.textContent = this.notice;
+        } else if (this.error) {
+            summary.textContent = `⚠ ${this.error}`;
+        } else if (!this.getOptions().find) {
+            summary.textContent = '';
+        } else {
+            summary.textContent = total === 0
+                ? 'No matches'
+                : `${total} match${total === 1 ? '' : 'es'} in ${this.describeCount(this.results.length)}`;
+        }
+
+        list.innerHTML = '';
+        this.results.forEach(result => {
+            list.appendChild(this.createPageElement(result));
+        });
+    },
+
+    /**
+     * Create a page's group of matches, with a checkbox to take or skip all of them
+     * @param {Object} result - { page, items }
+     * @returns {HTMLElement} Group element
+     */
+    createPageElement(result) {
+        const group = document.createElement('div');
+        group.className = 'replace-page';
+
+        const header = document.createElement('label');
+        header.className = 'replace-page-header';
+        header.innerHTML = `
+            <input type="checkbox">
+            <span class="replace-page-title">📄 ${this.escapeHtml(result.page.title || 'Untitled')}</span>
+            <span class="replace-count">${result.items.length}</span>
+        `;
+
+        const pageCheckbox = header.querySelector('input');
+        const skippedCount = result.items.filter(item => this.skipped.has(item.key)).length;
+        pageCheckbox.checked = skippedCount < result.items.length;
+        pageCheckbox.indeterminate = skippedCount > 0 && skippedCount < result.items.length;
+        pageCheckbox.addEventListener('change', () => {
+            result.items.forEach(item => {
+                if (pageCheckbox.checked) {
+                    this.skipped.delete(item.key);
+                } else {
+                    this.skipped.add(item.key);
+                }
+            });
+            this.render();
+        });
+
+        group.appendChild(header);
+
+        result.items.forEach(item => {
+            group.appendChild(this.createMatchElement(result.page, item));
+        });
+
+        return group;
+    },
+
+    /**
+     * Create a match line showing the text around it and what it becomes
+     * @param {Object} page - Page the match is in
+     * @param {Object} item - Match
+     * @returns {HTMLElement} Match element
+     */
+    createMatchElement(page, item) {
+        const content = page.content;
+        const lineStart = content.lastIndexOf('\n', item.start - 1) + 1;
+        const lineEnd = content.indexOf('\n', item.end) === -1 ? content.length : content.indexOf('\n', item.end);
+        const from = Math.max(lineStart, item.start - this.CONTEXT_CHARS);
+        const to = Math.min(lineEnd, item.end + this.CONTEXT_CHARS);
+
+        const before = (from > lineStart ? '…' : '') + content.slice(from, item.start);
+        const after = content.slice(item.end, to) + (to < lineEnd ? '…' : '');
+
+        const element = document.createElement('label');
+        element.className = 'replace-match';
+        element.innerHTML = `
+            <input type="checkbox" ${this.skipped.has(item.key) ? '' : 'checked'}>
+            <span class="replace-context">${this.escapeHtml(before)}<del>${this.escapeHtml(item.text)}</del><ins>${this.escapeHtml(item.replacement)}</ins>${this.escapeHtml(after)}</span>
+        `;
+
+        element.querySelector('input').addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.skipped.delete(item.key);
+            } else {
+                this.skipped.add(item.key);
+            }
+            this.render();
+        });
+
+        return element;
+    },
+
+    // ============================================
+    // Replacing
+    // ============================================
+
+    /**
+     * Replace the accepted matches. Each changed page is snapshotted in version history first.
+     * Pages edited since the scan (e.g. in another tab) are left alone.
+     */
+    apply() {
+        Editor.save();
+
+        const changes = [];
+        const outdated = [];
+
+        this.results.forEach(({ page, items }) => {
+            const accepted = items.filter(item => !this.skipped.has(item.key));
+            if (accepted.length === 0) return;
+
+            const current = Storage.getPage(page.id);
+            if (!current || current.content !== page.content) {
+                outdated.push(page.title || 'Untitled');
+                return;
+            }
+
+            let content = '';
+            let last = 0;
+            accepted.forEach(item => {
+                content += page.content.slice(last, item.start) + item.replacement;
+                last = item.end;
+            });
+            content += page.content.slice(last);
+
+            changes.push({ pageId: page.id, title: current.title, before: current.content, after: content, count: accepted.length });
+        });
+
+        changes.forEach(change => {
+            Versions.snapshot(Storage.getPage(change.pageId), 'Before find and replace');
+            const page = Storage.getPage(change.pageId);
+            page.content = change.after;
+            Storage.savePage(page);
+        });
+
+        if (changes.length > 0) {
+            this.lastReplace = changes;
+        }
+        this.refresh(changes);
+
+        const count = changes.reduce((sum, change) => sum + change.count, 0);
+        let notice = `Replaced ${count} match${count === 1 ? '' : 'es'} in ${this.describeCount(changes.length)}.`;
+        if (outdated.length > 0) {
+            notice += ` Edited since the search, so not changed: ${outdated.join(', ')}.`;
+        }
+        this.scan();
+        this.notice = notice;
+        this.render();
+    },
+
+    /**
+     * Undo the last replace. Pages edited since are left as they are; their earlier version is in History.
+     */
+    undo() {
+        if (!this.lastReplace) return;
+
+        Editor.save();
+
+        const restored = [];
+        const edited = [];
+
+        this.lastReplace.forEach(change => {
+            const page = Storage.getPage(change.pageId);
+            if (!page || page.content !== change.after) {
+                edited.push(change.title || 'Untitled');
+                return;
+            }
+            page.content = change.before;
+            Storage.savePage(page);
+            restored.push(change);
+        });
+
+        this.lastReplace = null;
+        this.refresh(restored);
+
+        let notice = `Undid the replace in ${this.describeCount(restored.length)}.`;
+        if (edited.length > 0) {
+            notice += ` Edited since, so left as they are (their earlier version is in History): ${edited.join(', ')}.`;
+        }
+        this.scan();
+        this.notice = notice;
+        this.render();
+    },
+
+    /**
+     * Describe a number of pages
+     * @param {number} count - Number of pages
+     * @returns {string} e.g. "3 pages"
+     */
+    describeCount(count) {
+        return count === 1 ? '1 page' : `${count} pages`;
+    },
+
+    /**
+     * Show changed pages in the editor and sidebar
+     * @param {Array} changes - [{ pageId }]
+     */
+    refresh(changes) {
+        const pageId = App.currentPageId;
+        if (changes.some(change => change.pageId === pageId) && !Sync.hasConflict(pageId)) {
+            Editor.loadPage(Storage.getPage(pageId));
+        }
+        Sidebar.render();
+    },
+
+    /**
+     * Escape HTML special characters
+     * @param {string} str - String to escape
+     * @returns {string} Escaped string
+     */
+    escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+};
@@ -0,0 +1,381 @@
+/**
+ * Search Module - Full-text search over pages and voice memo transcripts
+ * Keeps an inverted index (term → pages) that is updated as pages are saved
+ * and deleted, and ranks results with title and recency boosts.
+ */
+
+const Search = {
+    MAX_RESULTS: 50,
+    TITLE_WEIGHT: 3,         // A title hit counts as much as this many content hits
+    MEMO_WEIGHT: 0.8,        // Speech recognition makes transcript hits less certain
+    PREFIX_WEIGHT: 0.6,      // A prefix match ("not" for "notes") scores less than a whole word
+    RECENCY_WEIGHT: 0.5,     // Score boost for a page edited just now ...
+    RECENCY_HALF_LIFE_DAYS: 30, // ... halving every 30 days
+    SNIPPET_LENGTH: 140,
+    SNIPPET_LEAD: 40,        // Characters shown before the first match
+
+    index: new Map(),     // term -> Map(pageId -> { title, content, memos } hit counts)
+    pageTerms: new Map(), // pageId -> terms indexed for the page, to remove them again
+    terms: null,          // Sorted terms for prefix lookups, rebuilt after changes
+
+    /**
+     * Build the index and keep it up to date
+     */
+    init() {
+        Object.values(Storage.getAllPages()).forEach(page => {
+            this.indexPage(page);
+        });
+
+        Storage.onPageChange((page, previous) => {
+            if (page) {
+                this.indexPage(page);
+            } else if (previous) {
+                this.removePage(previous.id);
+            }
+        });
+    },
+
+    // ============================================
+    // Index
+    // ============================================
+
+    /**
+     * Add or update a page in the index
+     * @param {Object} page - Page object
+     */
+    indexPage(page) {
+        this.removePage(page.id);
+
+        const counts = new Map();
+        const count = (text, field) => {
+            this.tokenize(text).forEach(term => {
+                if (!counts.has(term)) {
+                    counts.set(term, { title: 0, content: 0, memos: 0 });
+                }
+                counts.get(term)[field]++;
+            });
+        };
+        count(page.title, 'title');
+        count(page.content, 'content');
+        count(this.getTranscripts(page), 'memos');
+
+        counts.forEach((hits, term) => {
+            if (!this.index.has(term)) {
+                this.index.set(term, new Map());
+                this.terms = null;
+            }
+            this.index.get(term).set(page.id, hits);
+        });
+        this.pageTerms.set(page.id, [...counts.keys()]);
+    },
+
+    /**
+     * Remove a page from the index
+     * @param {string} pageId - Page ID
+     */
+    removePage(pageId) {
+        const terms = this.pageTerms.get(pageId);
+        if (!terms) return;
+
+        terms.forEach(term => {
+            const postings = this.index.get(term);
+            postings.delete(pageId);
+            if (postings.size === 0) {
+                this.index.delete(term);
+                this.terms = null;
+            }
+        });
+        this.pageTerms.delete(pageId);
+    },
+
+    /**
+     * Get the transcripts of a page's voice memos
+     * @param {Object} page - Page object
+     * @returns {string} Transcripts, one per line
+     */
+    getTranscripts(page) {
+        return (page.voiceMemos || []).map(memo => memo.transcript || '').join('\n');
+    },
+
+    /**
+     * Split text into normalized search terms
+     * @param {string} text - Text
+     * @returns {Array} Terms, in order, with repeats
+     */
+    tokenize(text) {
+        return this.fold(text || '').match(/[\p{L}\p{N}]+/gu) || [];
+    },
+
+    /**
+     * Lowercase text and strip diacritics, so "Café" matches "cafe"
+     * @param {string} text - Text
+     * @returns {string} Folded text
+     */
+    fold(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    },
+
+    /**
+     * Get the indexed terms that start with a prefix
+     * @param {string} prefix - Folded prefix
+     * @returns {Array} Matching terms
+     */
+    expand(prefix) {
+        if (!this.terms) {
+            this.terms = [...this.index.keys()].sort();
+        }
+
+        // Binary search for the first term >= prefix
+        let low = 0;
+        let high = this.terms.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.terms[mid] < prefix) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+
+        const matches = [];
+        for (let i = low; i < this.terms.length && this.terms[i].startsWith(prefix); i++) {
+            matches.push(this.terms[i]);
+        }
+        return matches;
+    },
+
+    // ============================================
+    // Querying
+    // ============================================
+
+    /**
+     * Search pages with the query language (see Query)
+     * @param {string} text - Search text
+     * @returns {Array} Results { page, score, titleHtml, snippetHtml, blockIndex, memoId }, best first
+     * @throws {Error} If the query has a syntax error
+     */
+    query(text) {
+        const tree = Query.parse(text);
+        if (!tree) return [];
+
+        const terms = Query.getTerms(tree);
+
+        return this.rank(tree)
+            .slice(0, this.MAX_RESULTS)
+            .map(result => ({
+                ...result,
+                titleHtml: this.highlight(result.page.title || 'Untitled', terms),
+                ...this.getSnippet(result.page, terms)
+            }));
+    },
+
+    /**
+     * Find and rank all pages matching a query, without snippets
+     * @param {Object} tree - Query tree from Query.parse()
+     * @returns {Array} Results { page, score }, best first
+     */
+    rank(tree) {
+        const termScores = Query.getTerms(tree).map(term => this.scoreTerm(term));
+        const context = Query.createContext();
+        const now = Date.now();
+        const results = [];
+
+        Object.values(Storage.getAllPages()).forEach(page => {
+            if (!Query.matches(tree, page, context)) return;
+
+            // Pages found only by filters (e.g. tag:) rank by recency alone
+            const score = termScores.reduce((sum, scores) => sum + (scores.get(page.id) || 0), 0) || 1;
+            const ageDays = Math.max(0, now - new Date(page.updatedAt).getTime()) / (24 * 60 * 60 * 1000);
+            const recency = 1 + this.RECENCY_WEIGHT * Math.pow(0.5, ageDays / this.RECENCY_HALF_LIFE_DAYS);
+            results.push({ page: page, score: score * recency });
+        });
+
+        return results.sort((a, b) => b.score - a.score);
+    },
+
+    /**
+     * Score the pages containing a word
+     * @param {string} term - Folded word; matches indexed words that start with it
+     * @returns {Map} pageId -> score
+     */
+    scoreTerm(term) {
+        const total = this.pageTerms.size;
+        const scores = new Map();
+
+        this.expand(term).forEach(match => {
+            const postings = this.index.get(match);
+            const idf = Math.log(1 + total / postings.size);
+            const weight = match === term ? 1 : this.PREFIX_WEIGHT;
+
+            postings.forEach((hits, pageId) => {
+                const score = idf * weight *
+                    (this.TITLE_WEIGHT * Math.log1p(hits.title) + Math.log1p(hits.content) + this.MEMO_WEIGHT * Math.log1p(hits.memos));
+                scores.set(pageId, Math.max(scores.get(pageId) || 0, score));
+            });
+        });
+
+        return scores;
+    },
+
+    /**
+     * Get the pages containing a word
+     * @param {string} term - Folded word; matches indexed words that start with it
+     * @returns {Set} Page IDs
+     */
+    getPagesWithWord(term) {
+        const pageIds = new Set();
+        this.expand(term).forEach(match => {
+            this.index.get(match).forEach((hits, pageId) => pageIds.add(pageId));
+        });
+        return pageIds;
+    },
+
+    /**
+     * Find the block or voice memo transcript that best matches the query and cut a snippet from it
+     * @param {Object} page - Page object
+     * @param {Array} terms - Folded query terms
+     * @returns {Object} { snippetHtml, blockIndex, memoId }; blockIndex is -1 and memoId null if only the title matched
+     */
+    getSnippet(page, terms) {
+        const countHits = text => {
+            const words = this.tokenize(text);
+            return terms.filter(term => words.some(word => word.startsWith(term))).length;
+        };
+
+        let best = { count: 0, text: null, blockIndex: -1, memoId: null };
+
+        Editor.parseBlocks(page.content).forEach((block, i) => {
+            const count = countHits(block);
+            if (count > best.count) {
+                best = { count: count, text: block, blockIndex: i, memoId: null };
+            }
+        });
+
+        // A transcript only wins if it matches more of the query than any block
+        page.voiceMemos.forEach(memo => {
+            const count = countHits(memo.transcript || '');
+            if (count > best.count) {
+                best = { count: count, text: memo.transcript, blockIndex: -1, memoId: memo.id };
+            }
+        });
+
+        if (!best.text) {
+            const text = (page.content || '').replace(/\s+/g, ' ').trim();
+            const snippet = text.length > this.SNIPPET_LENGTH ? text.slice(0, this.SNIPPET_LENGTH) + '…' : text;
+            return { snippetHtml: this.escapeHtml(snippet), blockIndex: -1, memoId: null };
+        }
+
+        const text = best.text.replace(/\s+/g, ' ');
+        let first = 0;
+        for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+            if (this.isHit(match[0], terms)) {
+                first = match.index;
+                break;
+            }
+        }
+
+        const start = Math.max(0, first - this.SNIPPET_LEAD);
+        const end = Math.min(text.length, start + this.SNIPPET_LENGTH);
+        const snippet = (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : '');
+
+        return { snippetHtml: this.highlight(snippet, terms), blockIndex: best.blockIndex, memoId: best.memoId };
+    },
+
+    /**
+     * Check whether a word matches one of the query terms
+     * @param {string} word - Word as written
+     * @param {Array} terms - Folded query terms
+     * @returns {boolean} True if the word starts with a term
+     */
+    isHit(word, terms) {
+        const folded = this.fold(word);
+        return terms.some(term => folded.startsWith(term));
+    },
+
+    /**
+     * Escape text and mark the words that match the query
+     * @param {string} text - Text
+     * @param {Array} terms - Folded query terms
+     * @returns {string} HTML
+     */
+    highlight(text, terms) {
+        let html = '';
+        let last = 0;
+
+        for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+            if (!this.isHit(match[0], terms)) continue;
+
+            html += this.escapeHtml(text.slice(last, match.index));
+            html += `<mark>${this.escapeHtml(match[0])}</mark>`;
+            last = match.index + match[0].length;
+        }
+
+        return html + this.escapeHtml(text.slice(last));
+    },
+
+    // ============================================
+    // Fuzzy matching
+    // ============================================
+
+    /**
+     * Check whether the typed characters appear in order in a text
+     * @param {string} query - Typed text; spaces are ignored
+     * @param {string} text - Text to match
+     * @param {number} labelStart - Where the label starts in the text, after the folder path
+     * @returns {Object|null} { score, positions } or null if it doesn't match
+     */
+    fuzzyMatch(query, text, labelStart) {
+        const needle = [...this.fold(query).replace(/\s+/g, '')];
+        if (needle.length === 0) return { score: 0, positions: [] };
+
+        // Fold character by character so positions still point into the text
+        const chars = [...text];
+        const haystack = chars.map(char => this.fold(char).charAt(0) || char);
+        const isWordStart = i => i === 0 || !/[\p{L}\p{N}]/u.test(haystack[i - 1]);
+        const matchesFrom = (start, rest) => {
+            let i = start;
+            return rest.every(char => (i = haystack.indexOf(char, i) + 1) > 0);
+        };
+
+        const positions = [];
+        let score = 0;
+        let from = 0;
+
+        for (const [n, char] of needle.entries()) {
+            let index = haystack.indexOf(char, from);
+            if (index === -1) return null;
+
+            // Jump ahead to the start of a word when the match isn't a continuation,
+            // as long as the rest of the text still fits after it
+            if (positions.length === 0 || index !== positions[positions.length - 1] + 1) {
+                for (let i = index; i < haystack.length; i++) {
+                    if (haystack[i] === char && isWordStart(i) && matchesFrom(i + 1, needle.slice(n + 1))) {
+                        index = i;
+                        break;
+                    }
+                }
+            }
+
+            const consecutive = positions.length > 0 && index === positions[positions.length - 1] + 1;
+            score += 1 + (consecutive ? 2 : 0) + (isWordStart(index) ? 3 : 0);
+            positions.push(index);
+            from = index + 1;
+        }
+
+        // Matches in the label beat matches in the folder path; shorter texts beat longer ones
+        score += positions.filter(i => i >= labelStart).length - chars.length * 0.01;
+
+        return { score: score, positions: positions };
+    },
+
+    /**
+     * Escape HTML special characters
+     * @param {string} str - String to escape
+     * @returns {string} Escaped string
+     */
+    escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+};
@@ -5,6 +5,7 @@
 
 const Sidebar = {
     navTree: null,
+    searchInput: null,
     contextMenu: null,
     moveModal: null,
     inputModal: null,
@@ -26,6 +27,7 @@ const Sidebar = {
      */
     init() {
         this.navTree = document.getElementById('navTree');
+        this.searchInput = document.getElementById('searchInput');
         this.contextMenu = document.getElementById('contextMenu');
         this.moveModal = document.getElementById('moveModal');
         this.inputModal = document.getElementById('inputModal');
@@ -54,8 +56,13 @@ const Sidebar = {
         });
 
         // Search input
-        document.getElementById('searchInput').addEventListener('input', (e) => {
-            this.handleSearch(e.target.value);
+        this.searchInput.addEventListener('input', () => {
+            this.render();
+        });
+
+        // Save the search as a smart folder
+        document.getElementById('saveSearchBtn').addEventListener('click', () => {
+            this.saveSearch();
         });
 
         // Toggle sidebar
@@ -187,21 +194,41 @@ const Sidebar = {
     },
 
     /**
-     * Render the navigation tree
+     * Render the navigation tree, or the search results while there is a query.
+     * Smart folders come first; open ones are filled from their saved search on every render.
+     * While a tag is selected in the Tags section, the tree only shows pages with that tag.
      */
     render() {
         this.navTree.innerHTML = '';
+        Tags.render();
 
-        const rootFolders = Storage.getChildFolders(null);
-        const rootPages = Storage.getPagesByFolder(null);
+        const query = this.searchInput.value;
+        if (query.trim()) {
+            this.renderSearchResults(query);
+        } else {
+            document.getElementById('searchError').classList.add('hidden');
+            document.getElementById('saveSearchBtn').classList.add('hidden');
 
-        rootFolders.forEach(folder => {
-            this.navTree.appendChild(this.createFolderElement(folder));
-        });
+            this.getSmartFolders().forEach(smartFolder => {
+                const element = this.createSmartFolderElement(smartFolder);
+                if (element) {
+                    this.navTree.appendChild(element);
+                }
+            });
 
-        rootPages.forEach(page => {
-            this.navTree.appendChild(this.createPageElement(page));
-        });
+            const rootFolders = this.getVisibleFolders(null);
+            const rootPages = this.getVisiblePages(null);
+
+            rootFolders.forEach(folder => {
+                this.navTree.appendChild(this.createFolderElement(folder));
+            });
+
+            rootPages.forEach(page => {
+                this.navTree.appendChild(this.createPageElement(page));
+            });
+        }
+
+        Trash.render();
 
         const allPages = Object.keys(Storage.getAllPages()).length;
         const welcomeScreen = document.getElementById('welcomeScreen');
@@ -213,6 +240,166 @@ const Sidebar = {
         }
     },
 
+    /**
+     * Get the pages of a folder that pass the tag filter
+     * @param {string|null} folderId - Folder ID or null for root
+     * @returns {Array} Pages
+     */
+    getVisiblePages(folderId) {
+        const pages = Storage.getPagesByFolder(folderId);
+        return Tags.selected ? pages.filter(page => Tags.hasTag(page.id, Tags.selected)) : pages;
+    },
+
+    /**
+     * Get the child folders of a folder that contain pages passing the tag filter
+     * @param {string|null} parentId - Parent folder ID or null for root
+     * @returns {Array} Folders
+     */
+    getVisibleFolders(parentId) {
+        const folders = Storage.getChildFolders(parentId);
+        if (!Tags.selected) return folders;
+
+        const hasVisiblePages = folder => this.getVisiblePages(folder.id).length > 0 ||
+            Storage.getChildFolders(folder.id).some(hasVisiblePages);
+        return folders.filter(hasVisiblePages);
+    },
+
+    // ============================================
+    // Smart folders
+    // ============================================
+
+    /**
+     * Get the smart folders in the order they are shown
+     * @returns {Array} Smart folders, by name
+     */
+    getSmartFolders() {
+        return Object.values(Storage.getAllSmartFolders()).sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    /**
+     * Get the pages of a smart folder: whatever its search finds right now, in its sort order
+     * @param {Object} smartFolder - Smart folder
+     * @returns {Array} Pages that pass the tag filter
+     * @throws {Error} If the saved search no longer parses
+     */
+    getSmartFolderPages(smartFolder) {
+        const tree = Query.parse(smartFolder.query);
+        const pages = tree ? Search.rank(tree).map(result => result.page) : [];
+
+        if (smartFolder.sort === 'title') {
+            pages.sort((a, b) => (a.title || 'Untitled').localeCompare(b.title || 'Untitled'));
+        } else if (smartFolder.sort === 'updated') {
+            pages.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+        }
+
+        return Tags.selected ? pages.filter(page => Tags.hasTag(page.id, Tags.selected)) : pages;
+    },
+
+    /**
+     * Create a smart folder element with the pages its search finds.
+     * The search only runs while the folder is open, since the tree is redrawn on every save.
+     * @param {Object} smartFolder - Smart folder
+     * @returns {HTMLElement|null} Element, or null if the tag filter leaves it empty
+     */
+    createSmartFolderElement(smartFolder) {
+        const isExpanded = this.expandedFolders.has(smartFolder.id) || !!Tags.selected;
+
+        let pages = [];
+        let error = null;
+        if (isExpanded) {
+            try {
+                pages = this.getSmartFolderPages(smartFolder);
+            } catch (e) {
+                error = e.message;
+            }
+        }
+
+        if (Tags.selected && pages.length === 0) return null;
+
+        const item = document.createElement('div');
+        item.className = 'nav-item smart-folder';
+        item.dataset.type = 'smart';
+        item.dataset.id = smartFolder.id;
+
+        const header = document.createElement('div');
+        header.className = 'nav-item-header';
+        header.title = `Smart folder: ${smartFolder.query}`;
+        header.innerHTML = `
+            <span class="expand-icon ${isExpanded ? 'expanded' : ''}">▶</span>
+            <span class="item-icon">🔍</span>
+            <span class="item-name">${this.escapeHtml(smartFolder.name)}</span>
+            <span class="smart-folder-count">${error ? '⚠' : isExpanded ? pages.length : ''}</span>
+        `;
+
+        // Click to expand/collapse
+        header.addEventListener('click', () => {
+            this.toggleFolder(smartFolder.id);
+        });
+
+        // Right click for context menu
+        header.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            this.showContextMenu(e, 'smart', smartFolder.id);
+        });
+
+        item.appendChild(header);
+
+        const children = document.createElement('div');
+        children.className = `nav-children ${isExpanded ? 'expanded' : ''}`;
+
+        if (error) {
+            children.innerHTML = `<div class="smart-folder-empty">⚠ ${this.escapeHtml(error)}</div>`;
+        } else if (isExpanded && pages.length === 0) {
+            children.innerHTML = '<div class="smart-folder-empty">No matching pages</div>';
+        }
+
+        pages.forEach(page => {
+            children.appendChild(this.createPageElement(page));
+        });
+
+        item.appendChild(children);
+        return item;
+    },
+
+    /**
+     * Save the current search as a smart folder
+     */
+    saveSearch() {
+        const query = this.searchInput.value.trim();
+        if (!query) return;
+
+        this.showInputModal(
+            'Save Smart Folder',
+            'Enter smart folder name...',
+            query,
+            'Save',
+            (name) => {
+                const smartFolder = Storage.saveSmartFolder({
+                    name: name,
+                    query: query,
+                    sort: 'relevance'
+                });
+                this.expandedFolders.add(smartFolder.id);
+                this.searchInput.value = '';
+                this.render();
+            }
+        );
+    },
+
+    /**
+     * Change the order of a smart folder's pages
+     * @param {string} id - Smart folder ID
+     * @param {string} sort - 'relevance', 'title' or 'updated'
+     */
+    sortSmartFolder(id, sort) {
+        const smartFolder = Storage.getSmartFolder(id);
+        if (!smartFolder) return;
+
+        smartFolder.sort = sort;
+        Storage.saveSmartFolder(smartFolder);
+        this.render();
+    },
+
     /**
      * Create a folder element with children
      */
@@ -222,7 +409,7 @@ const Sidebar = {
         item.dataset.type = 'folder';
         item.dataset.id = folder.id;
 
-        const isExpanded = this.expandedFolders.has(folder.id);
+        const isExpanded = this.expandedFolders.has(folder.id) || !!Tags.selected;
 
         const header = document.createElement('div');
         header.className = 'nav-item-header';
@@ -292,11 +479,11 @@ const Sidebar = {
         const children = document.createElement('div');
         children.className = `nav-children ${isExpanded ? 'expanded' : ''}`;
 
-        Storage.getChildFolders(folder.id).forEach(childFolder => {
+        this.getVisibleFolders(folder.id).forEach(childFolder => {
             children.appendChild(this.createFolderElement(childFolder));
         });
 
-        Storage.getPagesByFolder(folder.id).forEach(page => {
+        this.getVisiblePages(folder.id).forEach(page => {
             children.appendChild(this.createPageElement(page));
         });
 
@@ -418,6 +605,14 @@ const Sidebar = {
      */
     showContextMenu(e, type, id) {
         this.contextTarget = { type, id };
+
+        // Only show the actions for this kind of item; mark a smart folder's current sort
+        const sort = type === 'smart' ? Storage.getSmartFolder(id).sort : null;
+        this.contextMenu.querySelectorAll('.context-item').forEach(item => {
+            item.classList.toggle('hidden', !item.dataset.types.split(' ').includes(type));
+            item.classList.toggle('checked', item.dataset.action === `sort-${sort}`);
+        });
+
         this.contextMenu.classList.remove('hidden');
         this.contextMenu.style.left = `${e.clientX}px`;
         this.contextMenu.style.top = `${e.clientY}px`;
@@ -446,6 +641,11 @@ const Sidebar = {
             case 'delete':
                 this.deleteItem(type, id);
                 break;
+            case 'sort-relevance':
+            case 'sort-title':
+            case 'sort-updated':
+                this.sortSmartFolder(id, action.slice('sort-'.length));
+                break;
         }
 
         this.hideContextMenu();
@@ -465,6 +665,7 @@ const Sidebar = {
                 page.title,
                 'Rename',
                 (newName) => {
+                    const oldTitle = page.title;
                     page.title = newName;
                     Storage.savePage(page);
                     this.render();
@@ -472,6 +673,23 @@ const Sidebar = {
                     if (App.currentPageId === id) {
                         document.getElementById('pageTitleInput').value = page.title;
                     }
+
+                    Linking.confirmRelink(id, oldTitle, page.title);
+                }
+            );
+        } else if (type === 'smart') {
+            const smartFolder = Storage.getSmartFolder(id);
+            if (!smartFolder) return;
+
+            this.showInputModal(
+                'Rename Smart Folder',
+                'Enter smart folder name...',
+                smartFolder.name,
+                'Rename',
+                (newName) => {
+                    smartFolder.name = newName;
+                    Storage.saveSmartFolder(smartFolder);
+                    this.render();
                 }
             );
         } else {
@@ -555,7 +773,7 @@ const Sidebar = {
 
             this.showConfirmModal(
                 'Delete Page',
-                `Delete "${page.title}"? This cannot be undone.`,
+                `Move "${page.title}" to the Trash?`,
                 'Delete',
                 () => {
                     Storage.deletePage(id);
@@ -566,6 +784,20 @@ const Sidebar = {
                     }
                 }
             );
+        } else if (type === 'smart') {
+            const smartFolder = Storage.getSmartFolder(id);
+            if (!smartFolder) return;
+
+            this.showConfirmModal(
+                'Delete Smart Folder',
+                `Delete smart folder "${smartFolder.name}"? The pages it shows are not deleted.`,
+                'Delete',
+                () => {
+                    Storage.deleteSmartFolder(id);
+                    this.expandedFolders.delete(id);
+                    this.render();
+                }
+            );
         } else {
             const folder = Storage.getFolder(id);
             if (!folder) return;
@@ -573,9 +805,9 @@ const Sidebar = {
             const hasContents = Storage.getPagesByFolder(id).length > 0 ||
                 Storage.getChildFolders(id).length > 0;
 
-            let message = `Delete folder "${folder.name}"?`;
+            let message = `Move folder "${folder.name}" to the Trash?`;
             if (hasContents) {
-                message += ' This folder contains items that will be moved to root.';
+                message += ' The pages and folders inside it go with it.';
             }
 
             this.showConfirmModal(
@@ -583,35 +815,96 @@ const Sidebar = {
                 message,
                 'Delete',
                 () => {
-                    Storage.deleteFolder(id, false);
+                    Storage.deleteFolder(id);
                     this.render();
+
+                    if (App.currentPageId && !Storage.getPage(App.currentPageId)) {
+                        App.closePage();
+                    }
                 }
             );
         }
     },
 
     /**
-     * Handle search
+     * Render search results in place of the tree
+     * @param {string} query - Search text
      */
-    handleSearch(query) {
-        if (!query.trim()) {
-            this.render();
+    renderSearchResults(query) {
+        const error = document.getElementById('searchError');
+        const saveBtn = document.getElementById('saveSearchBtn');
+        let results;
+
+        try {
+            results = Search.query(query);
+            error.classList.add('hidden');
+            saveBtn.classList.remove('hidden');
+        } catch (e) {
+            error.textContent = e.message;
+            error.classList.remove('hidden');
+            saveBtn.classList.add('hidden');
             return;
         }
 
-        const results = Storage.searchPages(query);
-        this.navTree.innerHTML = '';
-
         if (results.length === 0) {
             this.navTree.innerHTML = '<div class="nav-item-header" style="color: var(--text-muted);">No results found</div>';
             return;
         }
 
-        results.forEach(page => {
-            this.navTree.appendChild(this.createPageElement(page));
+        results.forEach(result => {
+            this.navTree.appendChild(this.createSearchResultElement(result));
         });
     },
 
+    /**
+     * Create a search result element with a highlighted snippet
+     * @param {Object} result - Result from Search.query()
+     * @returns {HTMLElement}
+     */
+    createSearchResultElement(result) {
+        const item = document.createElement('div');
+        item.className = 'nav-item search-result';
+
+        const header = document.createElement('div');
+        header.className = 'nav-item-header';
+        if (App.currentPageId === result.page.id) {
+            header.classList.add('active');
+        }
+
+        header.innerHTML = `
+            <span class="item-icon">📄</span>
+            <span class="item-name">${result.titleHtml}</span>
+        `;
+
+        // Open the page at the matching block or voice memo
+        item.addEventListener('click', () => {
+            App.openPage(result.page.id);
+            if (result.memoId) {
+                Voice.revealMemo(result.memoId);
+            } else if (result.blockIndex >= 0) {
+                Editor.revealBlock(result.blockIndex);
+            }
+        });
+
+        item.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            this.showContextMenu(e, 'page', result.page.id);
+        });
+
+        item.appendChild(header);
+
+        if (result.snippetHtml) {
+            const snippet = document.createElement('div');
+            snippet.className = 'search-snippet';
+            snippet.innerHTML = result.snippetHtml;
+            if (result.memoId) {
+                snippet.insertAdjacentHTML('afterbegin', '<span class="search-badge">🎤 Voice memo</span> ');
+            }
+            item.appendChild(snippet);
+        }
+        return item;
+    },
+
     /**
      * Toggle sidebar visibility
      */
@@ -1,12 +1,331 @@
 /**
- * Storage Module - LocalStorage management for pages and folders
+ * Storage Module - Page, folder and settings management
+ * Keeps an in-memory copy of the database so reads stay synchronous;
+ * writes update the copy immediately and persist in the background.
  */
 
 const Storage = {
+    // Legacy localStorage keys, migrated into the database on first load
     PAGES_KEY: 'notionlite_pages',
     FOLDERS_KEY: 'notionlite_folders',
     SETTINGS_KEY: 'notionlite_settings',
 
+    // Version of the data format; stored in the settings store and written into JSON backups.
+    // Raise it together with a new migration in migrations.js.
+    SCHEMA_VERSION: 2,
+
+    pages: {},
+    folders: {},
+    smartFolders: {},
+    trash: { pages: {}, folders: {} },
+    settings: null,
+    pageListeners: [],
+    saveListeners: [],
+    unsaved: [], // Writes that failed (e.g. storage full), kept until a retry succeeds
+
+    /**
+     * Migrate legacy data and load everything into memory.
+     * The database must already be open (and the vault unlocked).
+     * @returns {Promise} Resolves when storage is ready to use
+     */
+    async init() {
+        try {
+            await this.migrateLocalStorage();
+        } catch (e) {
+            console.error('Migration from localStorage failed:', e);
+        }
+
+        await this.load();
+    },
+
+    /**
+     * Load all stores from the database into memory
+     */
+    async load() {
+        const [pages, folders, smartFolders, settings, memos] = await Promise.all([
+            Database.getAll('pages'),
+            Database.getAll('folders'),
+            Database.getAll('smartFolders'),
+            Database.get('settings', 'app'),
+            Database.getAll('voiceMemos')
+        ]);
+
+        // Trashed records share the stores and are told apart by deletedAt
+        this.pages = {};
+        this.trash = { pages: {}, folders: {} };
+        pages.forEach(page => {
+            const target = page.deletedAt ? this.trash.pages : this.pages;
+            target[page.id] = { ...page, voiceMemos: [] };
+        });
+
+        memos
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+            .forEach(({ pageId, ...memo }) => {
+                const page = this.pages[pageId] || this.trash.pages[pageId];
+                if (page) {
+                    page.voiceMemos.push(memo);
+                }
+            });
+
+        this.folders = {};
+        folders.forEach(folder => {
+            const target = folder.deletedAt ? this.trash.folders : this.folders;
+            target[folder.id] = folder;
+        });
+
+        this.smartFolders = {};
+        smartFolders.forEach(smartFolder => {
+            this.smartFolders[smartFolder.id] = smartFolder;
+        });
+
+        this.settings = settings ? settings.value : null;
+    },
+
+    /**
+     * Re-read records that another tab changed and update the in-memory copy.
+     * Records with failed writes in this tab are left alone, since memory holds their latest state.
+     * @param {Array} changes - Changed records: [{ store, key }]; key is null when a store was cleared
+     * @returns {Promise<Array>} IDs of the pages that changed, including their voice memos
+     */
+    async reload(changes) {
+        // Let this tab's pending writes land first, so the database holds the latest of both
+        await Database.flush();
+
+        const previous = {};
+        const remember = id => {
+            if (!(id in previous)) {
+                previous[id] = this.pages[id] ? this.clonePage(this.pages[id]) : null;
+            }
+        };
+
+        if (changes.some(change => change.key === null && change.store !== 'versions' && change.store !== 'backups')) {
+            Object.keys(this.pages).forEach(remember);
+            await this.load();
+            Object.keys(this.pages).forEach(remember);
+        } else {
+            for (const change of changes) {
+                if (this.unsaved.some(op => op.store === change.store && Database.getKey(op) === change.key)) continue;
+                await this.reloadRecord(change.store, change.key, remember);
+            }
+        }
+
+        const ids = Object.keys(previous).filter(id => previous[id] || this.pages[id]);
+        ids.forEach(id => {
+            this.notifyPageChange(this.pages[id] ? this.clonePage(this.pages[id]) : null, previous[id], true);
+        });
+        return ids;
+    },
+
+    /**
+     * Re-read one record into memory
+     * @param {string} store - Store name
+     * @param {string} key - Record key
+     * @param {Function} remember - Called with the ID of a page before it changes
+     */
+    async reloadRecord(store, key, remember) {
+        const record = await Database.get(store, key);
+
+        if (store === 'pages') {
+            remember(key);
+            const current = this.pages[key] || this.trash.pages[key];
+            const voiceMemos = current ? current.voiceMemos : [];
+
+            delete this.pages[key];
+            delete this.trash.pages[key];
+            if (record) {
+                const target = record.deletedAt ? this.trash.pages : this.pages;
+                target[key] = { ...record, voiceMemos: voiceMemos };
+            }
+        } else if (store === 'voiceMemos') {
+            [...Object.values(this.pages), ...Object.values(this.trash.pages)].forEach(page => {
+                if (page.voiceMemos.some(memo => memo.id === key)) {
+                    remember(page.id);
+                    page.voiceMemos = page.voiceMemos.filter(memo => memo.id !== key);
+                }
+            });
+
+            const page = record && (this.pages[record.pageId] || this.trash.pages[record.pageId]);
+            if (page) {
+                const { pageId, ...memo } = record;
+                remember(pageId);
+                page.voiceMemos = [...page.voiceMemos, memo]
+                    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+            }
+        } else if (store === 'folders') {
+            delete this.folders[key];
+            delete this.trash.folders[key];
+            if (record) {
+                const target = record.deletedAt ? this.trash.folders : this.folders;
+                target[key] = record;
+            }
+        } else if (store === 'smartFolders') {
+            delete this.smartFolders[key];
+            if (record) {
+                this.smartFolders[key] = record;
+            }
+        } else if (store === 'settings' && key === 'app') {
+            this.settings = record ? record.value : null;
+        }
+    },
+
+    /**
+     * Move data from the old localStorage keys into the database.
+     * The keys are removed once the data is safely committed.
+     */
+    async migrateLocalStorage() {
+        const pagesData = localStorage.getItem(this.PAGES_KEY);
+        const foldersData = localStorage.getItem(this.FOLDERS_KEY);
+        const settingsData = localStorage.getItem(this.SETTINGS_KEY);
+
+        if (pagesData === null && foldersData === null && settingsData === null) return;
+
+        const pages = pagesData ? JSON.parse(pagesData) : {};
+        const folders = foldersData ? JSON.parse(foldersData) : {};
+        const ops = [];
+
+        Object.values(pages).forEach(page => {
+            ops.push(...this.pageOps(page, null));
+        });
+        Object.values(folders).forEach(folder => {
+            ops.push({ store: 'folders', put: folder });
+        });
+        if (settingsData) {
+            ops.push({ store: 'settings', put: { key: 'app', value: JSON.parse(settingsData) } });
+        }
+
+        await Database.commit(ops);
+
+        localStorage.removeItem(this.PAGES_KEY);
+        localStorage.removeItem(this.FOLDERS_KEY);
+        localStorage.removeItem(this.SETTINGS_KEY);
+
+        console.log(`Migrated ${Object.keys(pages).length} pages and ${Object.keys(folders).length} folders from localStorage`);
+    },
+
+    /**
+     * Write a batch of operations to the database in the background.
+     * Failed writes (e.g. storage full) are kept so they can be retried;
+     * the in-memory copy already has the data, so nothing is lost meanwhile.
+     * @param {Array} ops - Database operations
+     * @returns {Promise} Resolves when committed or failed
+     */
+    persist(ops) {
+        return Database.commit(ops).then(() => {
+            if (this.unsaved.length === 0) return;
+
+            // Newer writes replace older failed writes to the same record
+            this.unsaved = this.unsaved.filter(op => !ops.some(done => this.isSameRecord(op, done)));
+            if (this.unsaved.length === 0) {
+                this.notifySaveStatus(null);
+            }
+        }, e => {
+            console.error('Save failed:', e);
+            ops.forEach(op => {
+                this.unsaved = this.unsaved.filter(failed => !this.isSameRecord(failed, op));
+                this.unsaved.push(op);
+            });
+            this.notifySaveStatus(e);
+        });
+    },
+
+    /**
+     * Try the failed writes again
+     * @returns {Promise} Resolves when committed or failed again
+     */
+    retryUnsaved() {
+        const ops = this.unsaved;
+        this.unsaved = [];
+        return this.persist(ops);
+    },
+
+    /**
+     * Check whether two database operations write the same record
+     * @param {Object} a - Operation
+     * @param {Object} b - Operation
+     * @returns {boolean} True if same store and key
+     */
+    isSameRecord(a, b) {
+        return a.store === b.store && Database.getKey(a) === Database.getKey(b);
+    },
+
+    /**
+     * Register a callback for save failures and recoveries
+     * @param {Function} callback - Called with the error, or null once everything is saved
+     */
+    onSaveStatus(callback) {
+        this.saveListeners.push(callback);
+    },
+
+    /**
+     * Tell save listeners about a failure or recovery
+     * @param {Error|null} error - Save error, or null if everything is saved
+     */
+    notifySaveStatus(error) {
+        this.saveListeners.forEach(callback => callback(error));
+    },
+
+    /**
+     * Build the database operations for saving a page.
+     * Voice memos live in their own store; only added or removed ones are written.
+     * @param {Object} page - Page being saved
+     * @param {Object|null} previous - Previously stored version of the page
+     * @returns {Array} Database operations
+     */
+    pageOps(page, previous) {
+        const { voiceMemos, ...record } = page;
+        const memos = voiceMemos || [];
+        const previousMemos = previous && previous.voiceMemos ? previous.voiceMemos : [];
+        const ops = [{ store: 'pages', put: record }];
+
+        memos.forEach(memo => {
+            if (!previousMemos.includes(memo)) {
+                ops.push({ store: 'voiceMemos', put: { ...memo, pageId: page.id } });
+            }
+        });
+
+        previousMemos.forEach(memo => {
+            if (!memos.some(m => m.id === memo.id)) {
+                ops.push({ store: 'voiceMemos', delete: memo.id });
+            }
+        });
+
+        return ops;
+    },
+
+    /**
+     * Register a callback for page saves and deletes
+     * @param {Function} callback - Called with (page, previous, remote); page is null when moved to the Trash,
+     *     previous is null for new and restored pages, remote is true when the change was made in another tab
+     */
+    onPageChange(callback) {
+        this.pageListeners.push(callback);
+    },
+
+    /**
+     * Tell page listeners about a change
+     * @param {Object|null} page - Saved page, or null if deleted
+     * @param {Object|null} previous - Page as it was before the change
+     * @param {boolean} remote - Whether the change was made in another tab
+     */
+    notifyPageChange(page, previous, remote = false) {
+        this.pageListeners.forEach(callback => {
+            try {
+                callback(page, previous, remote);
+            } catch (e) {
+                console.error('Page change listener failed:', e);
+            }
+        });
+    },
+
+    /**
+     * Copy a page so callers can't modify the in-memory store by accident
+     * @param {Object} page - Page object
+     * @returns {Object} Copy of the page
+     */
+    clonePage(page) {
+        return { ...page, voiceMemos: (page.voiceMemos || []).slice() };
+    },
+
     // ============================================
     // Pages
     // ============================================
@@ -16,8 +335,11 @@ const Storage = {
      * @returns {Object} Object with page IDs as keys
      */
     getAllPages() {
-        const data = localStorage.getItem(this.PAGES_KEY);
-        return data ? JSON.parse(data) : {};
+        const pages = {};
+        Object.values(this.pages).forEach(page => {
+            pages[page.id] = this.clonePage(page);
+        });
+        return pages;
     },
 
     /**
@@ -26,41 +348,58 @@ const Storage = {
      * @returns {Object|null} Page object or null
      */
     getPage(id) {
-        const pages = this.getAllPages();
-        return pages[id] || null;
+        const page = this.pages[id];
+        return page ? this.clonePage(page) : null;
+    },
+
+    /**
+     * Get a page by its title, ignoring case and surrounding spaces
+     * @param {string} title - Page title
+     * @returns {Object|null} First page with that title, or null
+     */
+    getPageByTitle(title) {
+        const lowerTitle = title.toLowerCase().trim();
+        const page = Object.values(this.pages).find(page => page.title.toLowerCase().trim() === lowerTitle);
+        return page ? this.clonePage(page) : null;
     },
 
     /**
      * Save a page (create or update)
      * @param {Object} page - Page object with id, title, content, etc.
+     * @param {Object} options - { keepTimestamps: keep the page's own createdAt/updatedAt, e.g. on import }
      * @returns {Object} Saved page
      */
-    savePage(page) {
-        const pages = this.getAllPages();
+    savePage(page, options = {}) {
         const now = new Date().toISOString();
+        const keep = options.keepTimestamps;
         
         if (!page.id) {
             page.id = this.generateId();
-            page.createdAt = now;
+            page.createdAt = keep && page.createdAt ? page.createdAt : now;
         }
         
-        page.updatedAt = now;
-        pages[page.id] = page;
+        if (!keep || !page.updatedAt) {
+            page.updatedAt = now;
+        }
+
+        const previous = this.pages[page.id] || null;
+        delete this.trash.pages[page.id];
+        this.pages[page.id] = this.clonePage(page);
         
-        localStorage.setItem(this.PAGES_KEY, JSON.stringify(pages));
+        this.persist(this.pageOps(this.pages[page.id], previous));
+        this.notifyPageChange(this.clonePage(page), previous);
         return page;
     },
 
     /**
-     * Delete a page by ID
+     * Move a page to the Trash
      * @param {string} id - Page ID
      * @returns {boolean} Success status
      */
     deletePage(id) {
-        const pages = this.getAllPages();
-        if (pages[id]) {
-            delete pages[id];
-            localStorage.setItem(this.PAGES_KEY, JSON.stringify(pages));
+        const page = this.pages[id];
+        if (page) {
+            this.persist(this.trashPageOps(page, new Date().toISOString(), null));
             return true;
         }
         return false;
@@ -76,21 +415,6 @@ const Storage = {
         return Object.values(pages).filter(page => page.folderId === folderId);
     },
 
-    /**
-     * Search pages by title or content
-     * @param {string} query - Search query
-     * @returns {Array} Matching pages
-     */
-    searchPages(query) {
-        const pages = this.getAllPages();
-        const lowerQuery = query.toLowerCase();
-        
-        return Object.values(pages).filter(page => 
-            page.title.toLowerCase().includes(lowerQuery) ||
-            page.content.toLowerCase().includes(lowerQuery)
-        );
-    },
-
     /**
      * Get pages that link to a specific page
      * @param {string} pageId - Target page ID
@@ -101,7 +425,8 @@ const Storage = {
         const targetPage = pages[pageId];
         if (!targetPage) return [];
         
-        const linkPattern = new RegExp(`\\[\\[${this.escapeRegex(targetPage.title)}\\]\\]`, 'gi');
+        // [[Title]], [[Title#Heading]], [[Title^blockid]], each optionally with |shown text
+        const linkPattern = new RegExp(`\\[\\[\\s*${this.escapeRegex(targetPage.title.trim())}\\s*([#^][^\\]|]*)?(\\|[^\\]]*)?\\]\\]`, 'i');
         
         return Object.values(pages).filter(page => 
             page.id !== pageId && linkPattern.test(page.content)
@@ -117,8 +442,11 @@ const Storage = {
      * @returns {Object} Object with folder IDs as keys
      */
     getAllFolders() {
-        const data = localStorage.getItem(this.FOLDERS_KEY);
-        return data ? JSON.parse(data) : {};
+        const folders = {};
+        Object.values(this.folders).forEach(folder => {
+            folders[folder.id] = { ...folder };
+        });
+        return folders;
     },
 
     /**
@@ -127,8 +455,8 @@ const Storage = {
      * @returns {Object|null} Folder object or null
      */
     getFolder(id) {
-        const folders = this.getAllFolders();
-        return folders[id] || null;
+        const folder = this.folders[id];
+        return folder ? { ...folder } : null;
     },
 
     /**
@@ -137,7 +465,6 @@ const Storage = {
      * @returns {Object} Saved folder
      */
     saveFolder(folder) {
-        const folders = this.getAllFolders();
         const now = new Date().toISOString();
         
         if (!folder.id) {
@@ -145,51 +472,22 @@ const Storage = {
             folder.createdAt = now;
         }
         
-        folders[folder.id] = folder;
-        localStorage.setItem(this.FOLDERS_KEY, JSON.stringify(folders));
+        delete this.trash.folders[folder.id];
+        this.folders[folder.id] = { ...folder };
+        this.persist([{ store: 'folders', put: this.folders[folder.id] }]);
         return folder;
     },
 
     /**
-     * Delete a folder and optionally its contents
+     * Move a folder and everything in it to the Trash
      * @param {string} id - Folder ID
-     * @param {boolean} deleteContents - Whether to delete pages inside
      * @returns {boolean} Success status
      */
-    deleteFolder(id, deleteContents = false) {
-        const folders = this.getAllFolders();
-        const pages = this.getAllPages();
-        
-        if (!folders[id]) return false;
-        
-        if (deleteContents) {
-            // Delete all pages in this folder
-            Object.values(pages).forEach(page => {
-                if (page.folderId === id) {
-                    delete pages[page.id];
-                }
-            });
-            localStorage.setItem(this.PAGES_KEY, JSON.stringify(pages));
-            
-            // Delete child folders recursively
-            Object.values(folders).forEach(folder => {
-                if (folder.parentId === id) {
-                    this.deleteFolder(folder.id, true);
-                }
-            });
-        } else {
-            // Move pages to root
-            Object.values(pages).forEach(page => {
-                if (page.folderId === id) {
-                    page.folderId = null;
-                }
-            });
-            localStorage.setItem(this.PAGES_KEY, JSON.stringify(pages));
-        }
-        
-        // Delete the folder itself
-        delete folders[id];
-        localStorage.setItem(this.FOLDERS_KEY, JSON.stringify(folders));
+    deleteFolder(id) {
+        const folder = this.folders[id];
+        if (!folder) return false;
+
+        this.persist(this.trashFolderOps(folder, new Date().toISOString(), null));
         return true;
     },
 
@@ -217,10 +515,6 @@ const Storage = {
         const page = this.getPage(pageId);
         if (!page) return null;
         
-        if (!page.voiceMemos) {
-            page.voiceMemos = [];
-        }
-        
         memo.id = this.generateId();
         memo.createdAt = new Date().toISOString();
         page.voiceMemos.push(memo);
@@ -236,12 +530,522 @@ const Storage = {
      */
     deleteVoiceMemo(pageId, memoId) {
         const page = this.getPage(pageId);
-        if (!page || !page.voiceMemos) return null;
+        if (!page) return null;
         
         page.voiceMemos = page.voiceMemos.filter(m => m.id !== memoId);
         return this.savePage(page);
     },
 
+    // ============================================
+    // Trash
+    // ============================================
+
+    /**
+     * Get the items in the Trash. Pages and folders deleted together
+     * with a folder are listed under that folder, not on their own.
+     * @returns {Object} { pages, folders }, most recently deleted first
+     */
+    getTrash() {
+        const isTopLevel = item => !item.deletedWith || !this.trash.folders[item.deletedWith];
+        const byDeletedAt = (a, b) => new Date(b.deletedAt) - new Date(a.deletedAt);
+
+        return {
+            pages: Object.values(this.trash.pages)
+                .filter(isTopLevel)
+                .map(page => this.clonePage(page))
+                .sort(byDeletedAt),
+            folders: Object.values(this.trash.folders)
+                .filter(isTopLevel)
+                .map(folder => ({ ...folder }))
+                .sort(byDeletedAt)
+        };
+    },
+
+    /**
+     * Count the pages and folders deleted together with a folder
+     * @param {string} folderId - Trashed folder ID
+     * @returns {number} Number of items
+     */
+    getTrashedContentsCount(folderId) {
+        return Object.values(this.trash.pages).filter(page => page.deletedWith === folderId).length +
+            Object.values(this.trash.folders).filter(folder => folder.deletedWith === folderId).length;
+    },
+
+    /**
+     * Move a page into the Trash, remembering where it was
+     * @param {Object} page - Page in memory
+     * @param {string} deletedAt - Deletion time
+     * @param {string|null} deletedWith - ID of the folder it was deleted with
+     * @returns {Array} Database operations
+     */
+    trashPageOps(page, deletedAt, deletedWith) {
+        page.deletedAt = deletedAt;
+        page.deletedFrom = this.getFolderPath(page.folderId);
+        if (deletedWith) {
+            page.deletedWith = deletedWith;
+        }
+
+        delete this.pages[page.id];
+        this.trash.pages[page.id] = page;
+        this.notifyPageChange(null, page);
+        return this.pageOps(page, page);
+    },
+
+    /**
+     * Move a folder, its pages and its child folders into the Trash
+     * @param {Object} folder - Folder in memory
+     * @param {string} deletedAt - Deletion time
+     * @param {string|null} deletedWith - ID of the folder it was deleted with
+     * @returns {Array} Database operations
+     */
+    trashFolderOps(folder, deletedAt, deletedWith) {
+        const ops = [];
+        const rootId = deletedWith || folder.id;
+
+        // Contents first, so their folder paths can still be read
+        Object.values(this.folders).forEach(child => {
+            if (child.parentId === folder.id) {
+                ops.push(...this.trashFolderOps(child, deletedAt, rootId));
+            }
+        });
+        Object.values(this.pages).forEach(page => {
+            if (page.folderId === folder.id) {
+                ops.push(...this.trashPageOps(page, deletedAt, rootId));
+            }
+        });
+
+        folder.deletedAt = deletedAt;
+        folder.deletedFrom = this.getFolderPath(folder.parentId);
+        if (deletedWith) {
+            folder.deletedWith = deletedWith;
+        }
+
+        delete this.folders[folder.id];
+        this.trash.folders[folder.id] = folder;
+        ops.push({ store: 'folders', put: folder });
+        return ops;
+    },
+
+    /**
+     * Get the folders leading to a folder, so they can be recreated on restore
+     * @param {string|null} folderId - Folder ID or null for root
+     * @returns {Array} Folders { id, name }, outermost first
+     */
+    getFolderPath(folderId) {
+        const path = [];
+        let folder = this.folders[folderId] || this.trash.folders[folderId];
+
+        while (folder && !path.some(f => f.id === folder.id)) {
+            path.unshift({ id: folder.id, name: folder.name });
+            folder = this.folders[folder.parentId] || this.trash.folders[folder.parentId];
+        }
+        return path;
+    },
+
+    /**
+     * Get a folder's path as text
+     * @param {string|null} folderId - Folder ID
+     * @returns {string} e.g. "Work / Projects", or '' at the top level
+     */
+    getFolderPathText(folderId) {
+        return folderId ? this.getFolderPath(folderId).map(folder => folder.name).join(' / ') : '';
+    },
+
+    /**
+     * Restore a page from the Trash into its original folder
+     * @param {string} id - Page ID
+     * @returns {Object|null} Restored page
+     */
+    restorePage(id) {
+        const page = this.trash.pages[id];
+        if (!page) return null;
+
+        const ops = this.restoreFolderPath(page.deletedFrom);
+        if (page.folderId && !this.folders[page.folderId]) {
+            page.folderId = null;
+        }
+        ops.push(...this.untrashPageOps(page));
+
+        this.persist(ops);
+        return this.clonePage(page);
+    },
+
+    /**
+     * Restore a folder from the Trash, with everything deleted along with it
+     * @param {string} id - Folder ID
+     * @returns {Object|null} Restored folder
+     */
+    restoreFolder(id) {
+        const folder = this.trash.folders[id];
+        if (!folder) return null;
+
+        const ops = this.restoreFolderPath(folder.deletedFrom);
+        if (folder.parentId && !this.folders[folder.parentId]) {
+            folder.parentId = null;
+        }
+        ops.push(this.untrashFolderOp(folder));
+
+        Object.values(this.trash.folders).forEach(child => {
+            if (child.deletedWith === id) {
+                ops.push(this.untrashFolderOp(child));
+            }
+        });
+        Object.values(this.trash.pages).forEach(page => {
+            if (page.deletedWith === id) {
+                ops.push(...this.untrashPageOps(page));
+            }
+        });
+
+        this.persist(ops);
+        return { ...folder };
+    },
+
+    /**
+     * Make sure the folders on a path exist, restoring them from the Trash
+     * or recreating them if they were deleted permanently
+     * @param {Array} path - Folders { id, name }, outermost first
+     * @returns {Array} Database operations
+     */
+    restoreFolderPath(path) {
+        const ops = [];
+        let parentId = null;
+
+        (path || []).forEach(({ id, name }) => {
+            if (this.trash.folders[id]) {
+                ops.push(this.untrashFolderOp(this.trash.folders[id]));
+            } else if (!this.folders[id]) {
+                this.folders[id] = { id: id, name: name, parentId: parentId, createdAt: new Date().toISOString() };
+                ops.push({ store: 'folders', put: this.folders[id] });
+            }
+            parentId = id;
+        });
+
+        return ops;
+    },
+
+    /**
+     * Take a page out of the Trash
+     * @param {Object} page - Trashed page in memory
+     * @returns {Array} Database operations
+     */
+    untrashPageOps(page) {
+        delete page.deletedAt;
+        delete page.deletedFrom;
+        delete page.deletedWith;
+
+        delete this.trash.pages[page.id];
+        this.pages[page.id] = page;
+        this.notifyPageChange(this.clonePage(page), null);
+        return this.pageOps(page, page);
+    },
+
+    /**
+     * Take a folder out of the Trash
+     * @param {Object} folder - Trashed folder in memory
+     * @returns {Object} Database operation
+     */
+    untrashFolderOp(folder) {
+        delete folder.deletedAt;
+        delete folder.deletedFrom;
+        delete folder.deletedWith;
+
+        delete this.trash.folders[folder.id];
+        this.folders[folder.id] = folder;
+        return { store: 'folders', put: folder };
+    },
+
+    /**
+     * Permanently delete a page from the Trash
+     * @param {string} id - Page ID
+     * @returns {boolean} Success status
+     */
+    purgePage(id) {
+        const page = this.trash.pages[id];
+        if (!page) return false;
+
+        this.persist(this.purgePageOps(page));
+        return true;
+    },
+
+    /**
+     * Permanently delete a folder and everything deleted along with it
+     * @param {string} id - Folder ID
+     * @returns {boolean} Success status
+     */
+    purgeFolder(id) {
+        if (!this.trash.folders[id]) return false;
+
+        const ops = [];
+        Object.values(this.trash.pages).forEach(page => {
+            if (page.deletedWith === id) {
+                ops.push(...this.purgePageOps(page));
+            }
+        });
+        Object.values(this.trash.folders).forEach(folder => {
+            if (folder.id === id || folder.deletedWith === id) {
+                delete this.trash.folders[folder.id];
+                ops.push({ store: 'folders', delete: folder.id });
+            }
+        });
+
+        this.persist(ops);
+        return true;
+    },
+
+    /**
+     * Permanently delete everything in the Trash
+     */
+    emptyTrash() {
+        const ops = [];
+        Object.values(this.trash.pages).forEach(page => {
+            ops.push(...this.purgePageOps(page));
+        });
+        Object.values(this.trash.folders).forEach(folder => {
+            ops.push({ store: 'folders', delete: folder.id });
+        });
+
+        this.trash = { pages: {}, folders: {} };
+        this.persist(ops);
+    },
+
+    /**
+     * Permanently delete items that have been in the Trash too long
+     * @param {number} days - Days to keep deleted items
+     * @returns {number} Number of items deleted
+     */
+    purgeExpiredTrash(days) {
+        const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+        const trash = this.getTrash();
+        const isExpired = item => new Date(item.deletedAt).getTime() < cutoff;
+
+        const folders = trash.folders.filter(isExpired);
+        const pages = trash.pages.filter(isExpired);
+        folders.forEach(folder => this.purgeFolder(folder.id));
+        pages.forEach(page => this.purgePage(page.id));
+
+        return folders.length + pages.length;
+    },
+
+    /**
+     * Build the database operations for permanently deleting a trashed page.
+     * Its voice memos go with it, and its version history is removed in the background.
+     * @param {Object} page - Trashed page in memory
+     * @returns {Array} Database operations
+     */
+    purgePageOps(page) {
+        delete this.trash.pages[page.id];
+
+        this.getVersions(page.id)
+            .then(versions => this.deleteVersions(versions.map(version => version.id)))
+            .catch(e => console.error('Deleting version history failed:', e));
+
+        return [
+            { store: 'pages', delete: page.id },
+            ...(page.voiceMemos || []).map(memo => ({ store: 'voiceMemos', delete: memo.id }))
+        ];
+    },
+
+    // ============================================
+    // Versions
+    // ============================================
+
+    /**
+     * Get the stored snapshots of a page (loaded on demand, not kept in memory)
+     * @param {string} pageId - Page ID
+     * @returns {Promise<Array>} Snapshots, newest first
+     */
+    async getVersions(pageId) {
+        const versions = await Database.getAllByIndex('versions', 'pageId', pageId);
+        return versions.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    },
+
+    /**
+     * Save a page snapshot
+     * @param {Object} version - Snapshot with pageId, title, content
+     * @returns {Promise<Object>} Saved snapshot
+     */
+    async saveVersion(version) {
+        if (!version.id) {
+            version.id = this.generateId();
+            version.createdAt = new Date().toISOString();
+        }
+        await this.persist([{ store: 'versions', put: version }]);
+        return version;
+    },
+
+    /**
+     * Delete page snapshots
+     * @param {Array} ids - Snapshot IDs
+     * @returns {Promise} Resolves when deleted
+     */
+    deleteVersions(ids) {
+        return this.persist(ids.map(id => ({ store: 'versions', delete: id })));
+    },
+
+    // ============================================
+    // Schema
+    // ============================================
+
+    /**
+     * Get the schema version of the stored data.
+     * Data saved before versioning existed has no version record and counts as version 1.
+     * @returns {Promise<number>} Schema version
+     */
+    async getSchemaVersion() {
+        const record = await Database.get('settings', 'schema');
+        if (record) return record.value;
+
+        const hasData = Object.keys(this.pages).length > 0 || Object.keys(this.folders).length > 0 ||
+            Object.keys(this.trash.pages).length > 0 || Object.keys(this.trash.folders).length > 0;
+        return hasData ? 1 : this.SCHEMA_VERSION;
+    },
+
+    /**
+     * Get all stored data, including the Trash, in the JSON export shape
+     * @returns {Object} { pages, folders, smartFolders, settings }
+     */
+    getRawData() {
+        const pages = {};
+        [...Object.values(this.pages), ...Object.values(this.trash.pages)].forEach(page => {
+            pages[page.id] = this.clonePage(page);
+        });
+
+        const folders = {};
+        [...Object.values(this.folders), ...Object.values(this.trash.folders)].forEach(folder => {
+            folders[folder.id] = { ...folder };
+        });
+
+        return {
+            pages: pages,
+            folders: folders,
+            smartFolders: this.getAllSmartFolders(),
+            settings: this.settings ? { ...this.settings } : null
+        };
+    },
+
+    /**
+     * Write migrated data back and record its schema version.
+     * Unlike other writes this waits for the commit, then reloads everything.
+     * @param {Object} data - Data from getRawData(), upgraded
+     * @param {number} version - Schema version of the data
+     * @returns {Promise} Resolves when committed and reloaded
+     */
+    async writeRawData(data, version) {
+        const ops = [];
+
+        Object.values(data.pages).forEach(page => {
+            const previous = this.pages[page.id] || this.trash.pages[page.id] || null;
+            ops.push(...this.pageOps(page, previous));
+        });
+        Object.values(data.folders).forEach(folder => {
+            ops.push({ store: 'folders', put: folder });
+        });
+        Object.values(data.smartFolders || {}).forEach(smartFolder => {
+            ops.push({ store: 'smartFolders', put: smartFolder });
+        });
+        if (data.settings) {
+            ops.push({ store: 'settings', put: { key: 'app', value: data.settings } });
+        }
+        ops.push({ store: 'settings', put: { key: 'schema', value: version } });
+
+        await Database.commit(ops);
+        await this.load();
+    },
+
+    /**
+     * Record the schema version without changing any data
+     * @param {number} version - Schema version
+     * @returns {Promise} Resolves when committed
+     */
+    setSchemaVersion(version) {
+        return Database.commit([{ store: 'settings', put: { key: 'schema', value: version } }]);
+    },
+
+    /**
+     * Save a copy of all data, taken before a migration
+     * @param {Object} backup - { schemaVersion, data (JSON string) }
+     * @returns {Promise<Object>} Saved backup
+     */
+    async saveBackup(backup) {
+        backup.id = this.generateId();
+        backup.createdAt = new Date().toISOString();
+        await Database.commit([{ store: 'backups', put: backup }]);
+        return backup;
+    },
+
+    /**
+     * Get the saved pre-migration backups
+     * @returns {Promise<Array>} Backups, newest first
+     */
+    async getBackups() {
+        const backups = await Database.getAll('backups');
+        return backups.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    },
+
+    /**
+     * Delete pre-migration backups
+     * @param {Array} ids - Backup IDs
+     * @returns {Promise} Resolves when deleted
+     */
+    deleteBackups(ids) {
+        return this.persist(ids.map(id => ({ store: 'backups', delete: id })));
+    },
+
+    // ============================================
+    // Smart Folders
+    // ============================================
+
+    /**
+     * Get all smart folders (saved searches)
+     * @returns {Object} Smart folders keyed by ID
+     */
+    getAllSmartFolders() {
+        const smartFolders = {};
+        Object.values(this.smartFolders).forEach(smartFolder => {
+            smartFolders[smartFolder.id] = { ...smartFolder };
+        });
+        return smartFolders;
+    },
+
+    /**
+     * Get a single smart folder by ID
+     * @param {string} id - Smart folder ID
+     * @returns {Object|null} Smart folder or null
+     */
+    getSmartFolder(id) {
+        const smartFolder = this.smartFolders[id];
+        return smartFolder ? { ...smartFolder } : null;
+    },
+
+    /**
+     * Save a smart folder (create or update)
+     * @param {Object} smartFolder - Smart folder with name, query and sort ('relevance', 'title' or 'updated')
+     * @returns {Object} Saved smart folder
+     */
+    saveSmartFolder(smartFolder) {
+        if (!smartFolder.id) {
+            smartFolder.id = this.generateId();
+            smartFolder.createdAt = new Date().toISOString();
+        }
+
+        this.smartFolders[smartFolder.id] = { ...smartFolder };
+        this.persist([{ store: 'smartFolders', put: this.smartFolders[smartFolder.id] }]);
+        return smartFolder;
+    },
+
+    /**
+     * Delete a smart folder. Only the saved search goes; its pages stay where they are.
+     * @param {string} id - Smart folder ID
+     * @returns {boolean} Success status
+     */
+    deleteSmartFolder(id) {
+        if (!this.smartFolders[id]) return false;
+
+        delete this.smartFolders[id];
+        this.persist([{ store: 'smartFolders', delete: id }]);
+        return true;
+    },
+
     // ============================================
     // Settings
     // ============================================
@@ -251,8 +1055,7 @@ const Storage = {
      * @returns {Object} Settings object
      */
     getSettings() {
-        const data = localStorage.getItem(this.SETTINGS_KEY);
-        return data ? JSON.parse(data) : { language: 'en-US' };
+        return this.settings ? { ...this.settings } : { language: 'en-US' };
     },
 
     /**
@@ -260,7 +1063,8 @@ const Storage = {
      * @param {Object} settings - Settings object
      */
     saveSettings(settings) {
-        localStorage.setItem(this.SETTINGS_KEY, JSON.stringify(settings));
+        this.settings = { ...settings };
+        this.persist([{ store: 'settings', put: { key: 'app', value: this.settings } }]);
     },
 
     // ============================================
@@ -290,37 +1094,32 @@ const Storage = {
      */
     exportData() {
         return JSON.stringify({
+            schemaVersion: this.SCHEMA_VERSION,
             pages: this.getAllPages(),
             folders: this.getAllFolders(),
+            smartFolders: this.getAllSmartFolders(),
             settings: this.getSettings(),
             exportedAt: new Date().toISOString()
         }, null, 2);
     },
 
-    /**
-     * Import data from JSON
-     * @param {string} jsonData - JSON string
-     * @returns {boolean} Success status
-     */
-    importData(jsonData) {
-        try {
-            const data = JSON.parse(jsonData);
-            if (data.pages) localStorage.setItem(this.PAGES_KEY, JSON.stringify(data.pages));
-            if (data.folders) localStorage.setItem(this.FOLDERS_KEY, JSON.stringify(data.folders));
-            if (data.settings) localStorage.setItem(this.SETTINGS_KEY, JSON.stringify(data.settings));
-            return true;
-        } catch (e) {
-            console.error('Import failed:', e);
-            return false;
-        }
-    },
-
     /**
      * Clear all data
      */
     clearAll() {
-        localStorage.removeItem(this.PAGES_KEY);
-        localStorage.removeItem(this.FOLDERS_KEY);
-        localStorage.removeItem(this.SETTINGS_KEY);
+        this.pages = {};
+        this.folders = {};
+        this.smartFolders = {};
+        this.trash = { pages: {}, folders: {} };
+        this.settings = null;
+        this.persist([
+            { store: 'pages', clear: true },
+            { store: 'voiceMemos', clear: true },
+            { store: 'folders', clear: true },
+            { store: 'smartFolders', clear: true },
+            { store: 'settings', clear: true },
+            { store: 'versions', clear: true },
+            { store: 'backups', clear: true }
+        ]);
     }
 };
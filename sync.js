@@ -0,0 +1,341 @@
+/**
+ * Sync Module - Keep tabs consistent
+ * Every committed write is announced on a BroadcastChannel; other tabs re-read
+ * the changed records, refresh the sidebar and the open page, and show a
+ * conflict banner when the open page has unsaved edits.
+ */
+
+const Sync = {
+    CHANNEL: 'mononote',
+
+    channel: null,
+    banner: null,
+    conflict: null, // { pageId, theirs } while the open page was changed elsewhere during editing; theirs is null if it was deleted
+    queue: Promise.resolve(),
+
+    /**
+     * Start listening to other tabs
+     */
+    init() {
+        this.banner = document.getElementById('conflictBanner');
+        this.bindEvents();
+
+        if (typeof BroadcastChannel === 'undefined') {
+            console.warn('BroadcastChannel not supported, changes made in other tabs show after a reload');
+            return;
+        }
+
+        this.channel = new BroadcastChannel(this.CHANNEL);
+        this.channel.addEventListener('message', (e) => {
+            this.queue = this.queue
+                .then(() => this.applyChanges(e.data.changes))
+                .catch(err => console.error('Applying changes from another tab failed:', err));
+        });
+
+        Database.onCommit(changes => {
+            this.channel.postMessage({ changes: changes });
+        });
+    },
+
+    /**
+     * Bind conflict banner events
+     */
+    bindEvents() {
+        document.getElementById('conflictKeepBtn').addEventListener('click', () => {
+            this.keepMine();
+        });
+
+        document.getElementById('conflictTheirsBtn').addEventListener('click', () => {
+            this.takeTheirs();
+        });
+
+        document.getElementById('conflictMergeBtn').addEventListener('click', () => {
+            this.saveMergedCopy();
+        });
+
+        // Edits held back by a conflict only exist in this tab
+        window.addEventListener('beforeunload', (e) => {
+            if (this.conflict) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
+    },
+
+    /**
+     * Bring this tab up to date with writes made in another tab
+     * @param {Array} changes - Changed records: [{ store, key }]
+     */
+    async applyChanges(changes) {
+        // Records written under another key can't be read here any more
+        if (changes.some(change => change.store === 'settings' && change.key === 'vault')) {
+            location.reload();
+            return;
+        }
+
+        const pageIds = await Storage.reload(changes);
+        Sidebar.render();
+
+        if (App.currentPageId) {
+            if (pageIds.includes(App.currentPageId)) {
+                this.refreshOpenPage();
+            } else {
+                Linking.updateBacklinks(App.currentPageId);
+            }
+        }
+    },
+
+    /**
+     * Show the open page as changed in another tab, unless that would discard edits
+     */
+    refreshOpenPage() {
+        const pageId = App.currentPageId;
+        const theirs = Storage.getPage(pageId);
+
+        if (!theirs) {
+            if (Editor.isDirty()) {
+                this.showConflict(pageId, null);
+            } else {
+                App.closePage();
+            }
+            return;
+        }
+
+        App.updateBreadcrumb(theirs);
+        Voice.loadMemos(theirs);
+
+        // Older than what the editor has, e.g. a write that crossed one of ours
+        if (Editor.base && new Date(theirs.updatedAt) <= new Date(Editor.base.updatedAt)) return;
+
+        if (theirs.title === (Editor.getTitle() || 'Untitled') && theirs.content === Editor.getContent()) {
+            Editor.setBase(theirs);
+            this.clearConflict();
+        } else if (Editor.isDirty()) {
+            this.showConflict(pageId, theirs);
+        } else {
+            Editor.loadPage(theirs);
+        }
+    },
+
+    // ============================================
+    // Conflicts
+    // ============================================
+
+    /**
+     * Check whether a page has an unresolved conflict; its edits are not saved until it is resolved
+     * @param {string} pageId - Page ID
+     * @returns {boolean} True if the page has a conflict
+     */
+    hasConflict(pageId) {
+        return !!this.conflict && this.conflict.pageId === pageId;
+    },
+
+    /**
+     * Show the conflict banner for the open page
+     * @param {string} pageId - Page ID
+     * @param {Object|null} theirs - The page as saved by the other tab, or null if it was deleted there
+     */
+    showConflict(pageId, theirs) {
+        this.conflict = { pageId: pageId, theirs: theirs };
+
+        document.getElementById('conflictText').textContent = theirs
+            ? 'This page was changed in another tab while you were editing it.'
+            : 'This page was deleted in another tab while you were editing it.';
+        document.getElementById('conflictTheirsBtn').textContent = theirs ? 'Take Theirs' : 'Discard Mine';
+        this.banner.classList.remove('hidden');
+    },
+
+    /**
+     * Close the conflict banner
+     */
+    clearConflict() {
+        this.conflict = null;
+        this.banner.classList.add('hidden');
+    },
+
+    /**
+     * Get the edits held back by the conflict
+     * @returns {Object} { id, title, content, updatedAt } with this tab's title and content
+     */
+    getMine() {
+        return {
+            id: this.conflict.pageId,
+            title: Editor.getTitle() || 'Untitled',
+            content: Editor.getContent(),
+            updatedAt: Editor.base.updatedAt
+        };
+    },
+
+    /**
+     * Resolve the conflict by saving this tab's edits over the other tab's.
+     * A page deleted in the other tab is restored, or recreated if it is gone from the Trash too.
+     */
+    keepMine() {
+        if (!this.conflict) return;
+
+        const mine = this.getMine();
+        this.clearConflict();
+
+        if (!Storage.getPage(mine.id) && !Storage.restorePage(mine.id)) {
+            Storage.savePage({ ...mine, folderId: null, voiceMemos: [], createdAt: new Date().toISOString() });
+        }
+        Editor.save();
+    },
+
+    /**
+     * Resolve the conflict by discarding this tab's edits.
+     * They are kept in version history, so this can be undone.
+     */
+    takeTheirs() {
+        if (!this.conflict) return;
+
+        Versions.snapshot(this.getMine(), 'Before taking changes from another tab');
+        this.clearConflict();
+
+        const page = Storage.getPage(App.currentPageId);
+        if (page) {
+            Editor.loadPage(page);
+        } else {
+            App.closePage();
+        }
+    },
+
+    /**
+     * Resolve the conflict by merging both tabs' edits into a new page, against the
+     * version both started from. Lines both tabs changed get conflict markers.
+     * The original page keeps the other tab's version.
+     */
+    saveMergedCopy() {
+        if (!this.conflict) return;
+
+        const mine = this.getMine();
+        const theirs = this.conflict.theirs;
+        const content = theirs
+            ? this.mergeLines(Editor.base.content, mine.content, theirs.content)
+            : mine.content;
+
+        this.clearConflict();
+
+        const copy = Storage.savePage({
+            title: `${mine.title} (merged copy)`,
+            content: content,
+            folderId: theirs ? theirs.folderId : null,
+            voiceMemos: []
+        });
+        App.openPage(copy.id);
+    },
+
+    /**
+     * Keep this tab's edits as a separate page when leaving a page with an unresolved conflict
+     */
+    saveConflictCopy() {
+        if (!this.conflict) return;
+
+        const mine = this.getMine();
+        const theirs = this.conflict.theirs;
+        this.clearConflict();
+
+        Storage.savePage({
+            title: `${mine.title} (conflict copy)`,
+            content: mine.content,
+            folderId: theirs ? theirs.folderId : null,
+            voiceMemos: []
+        });
+        Sidebar.render();
+    },
+
+    // ============================================
+    // Merging
+    // ============================================
+
+    /**
+     * Three-way line merge. Changes made on one side only are applied; where both sides
+     * changed the same or adjacent lines differently, both versions are kept between markers.
+     * @param {string} baseText - Version both sides started from
+     * @param {string} mineText - This tab's version
+     * @param {string} theirsText - The other tab's version
+     * @returns {string} Merged text
+     */
+    mergeLines(baseText, mineText, theirsText) {
+        const base = baseText.split('\n');
+        const hunks = [
+            ...this.getHunks(baseText, mineText).map(hunk => ({ ...hunk, side: 'mine' })),
+            ...this.getHunks(baseText, theirsText).map(hunk => ({ ...hunk, side: 'theirs' }))
+        ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+        const result = [];
+        let pos = 0;
+        let i = 0;
+
+        while (i < hunks.length) {
+            // Hunks that overlap or touch are merged as one region of the base
+            const group = [hunks[i++]];
+            const start = group[0].start;
+            let end = group[0].end;
+            while (i < hunks.length && hunks[i].start <= end) {
+                end = Math.max(end, hunks[i].end);
+                group.push(hunks[i++]);
+            }
+
+            // One side's text for the region: the base with that side's hunks applied
+            const region = side => {
+                const lines = [];
+                let at = start;
+                group.filter(hunk => hunk.side === side).forEach(hunk => {
+                    lines.push(...base.slice(at, hunk.start), ...hunk.lines);
+                    at = hunk.end;
+                });
+                lines.push(...base.slice(at, end));
+                return lines;
+            };
+
+            result.push(...base.slice(pos, start));
+
+            const mine = region('mine');
+            const theirs = region('theirs');
+            if (group.every(hunk => hunk.side === group[0].side)) {
+                result.push(...region(group[0].side));
+            } else if (mine.join('\n') === theirs.join('\n')) {
+                result.push(...mine);
+            } else {
+                result.push('<<<<<<< This tab', ...mine, '=======', ...theirs, '>>>>>>> Other tab');
+            }
+            pos = end;
+        }
+
+        result.push(...base.slice(pos));
+        return result.join('\n');
+    },
+
+    /**
+     * Get the changed runs of lines between two texts
+     * @param {string} oldText - Earlier text
+     * @param {string} newText - Later text
+     * @returns {Array} Hunks { start, end, lines } - base lines start..end are replaced by lines
+     */
+    getHunks(oldText, newText) {
+        const hunks = [];
+        let pos = 0;
+        let hunk = null;
+
+        Versions.diffLines(oldText, newText).forEach(line => {
+            if (line.type === 'same') {
+                hunk = null;
+                pos++;
+                return;
+            }
+            if (!hunk) {
+                hunk = { start: pos, end: pos, lines: [] };
+                hunks.push(hunk);
+            }
+            if (line.type === 'remove') {
+                hunk.end++;
+                pos++;
+            } else {
+                hunk.lines.push(line.text);
+            }
+        });
+
+        return hunks;
+    }
+};
@@ -0,0 +1,393 @@
+/**
+ * Tags Module - #tags and #nested/tags written in page content
+ * Keeps a tag index that is updated as pages are saved, renders tags as
+ * chips, shows the sidebar Tags section that filters the page tree, and
+ * renames or merges tags across every page that uses them.
+ */
+
+const Tags = {
+    // Code, [[links]], link targets and HTML tags come first so the #s inside them are skipped
+    TAG_PATTERN: /(```[\s\S]*?```|`[^`\n]*`|\[\[[^\]]*\]\]|\]\([^)]*\)|<\/?[a-zA-Z][^>]*>)|(^|[^\p{L}\p{N}_&/#\\])#([\p{L}\p{N}_-]+(?:\/[\p{L}\p{N}_-]+)*)/gu,
+    NAME_PATTERN: /^[\p{L}\p{N}_-]+(?:\/[\p{L}\p{N}_-]+)*$/u,
+
+    pageTags: new Map(), // pageId -> Map(lowercased tag -> tag as written)
+    section: null,
+    list: null,
+    expanded: false,
+    selected: null,      // Lowercased tag the page tree is filtered by
+
+    /**
+     * Build the tag index and keep it up to date
+     */
+    init() {
+        this.section = document.getElementById('tagsSection');
+        this.list = document.getElementById('tagsList');
+
+        Object.values(Storage.getAllPages()).forEach(page => {
+            this.indexPage(page);
+        });
+
+        Storage.onPageChange((page, previous) => {
+            if (page) {
+                this.indexPage(page);
+            } else if (previous) {
+                this.pageTags.delete(previous.id);
+            }
+        });
+
+        this.bindEvents();
+    },
+
+    /**
+     * Bind Tags section events
+     */
+    bindEvents() {
+        document.getElementById('tagsHeader').addEventListener('click', () => {
+            this.expanded = !this.expanded;
+            this.render();
+        });
+
+        document.getElementById('clearTagFilterBtn').addEventListener('click', () => {
+            this.select(null);
+        });
+    },
+
+    // ============================================
+    // Index
+    // ============================================
+
+    /**
+     * Add or update a page in the tag index
+     * @param {Object} page - Page object
+     */
+    indexPage(page) {
+        const tags = this.parse(page.content);
+
+        // Tags from imported front-matter
+        (page.tags || []).forEach(tag => {
+            const name = String(tag).replace(/^#/, '');
+            if (this.isValidName(name) && !tags.has(name.toLowerCase())) {
+                tags.set(name.toLowerCase(), name);
+            }
+        });
+
+        this.pageTags.set(page.id, tags);
+    },
+
+    /**
+     * Find the #tags in some content
+     * @param {string} content - Markdown content
+     * @returns {Map} Lowercased tag -> tag as first written
+     */
+    parse(content) {
+        const tags = new Map();
+        for (const match of (content || '').matchAll(this.TAG_PATTERN)) {
+            const name = match[3];
+            if (!match[1] && this.isValidName(name) && !tags.has(name.toLowerCase())) {
+                tags.set(name.toLowerCase(), name);
+            }
+        }
+        return tags;
+    },
+
+    /**
+     * Check a tag name. Like Obsidian, a tag needs more than digits, so "#1" stays plain text.
+     * @param {string} name - Tag without the '#'
+     * @returns {boolean} True if it can be a tag
+     */
+    isValidName(name) {
+        return this.NAME_PATTERN.test(name) && /[^\d/]/.test(name);
+    },
+
+    /**
+     * Check whether a page has a tag, or a tag nested under it
+     * @param {string} pageId - Page ID
+     * @param {string} tag - Tag, with or without the '#'
+     * @returns {boolean} True if the page has the tag
+     */
+    hasTag(pageId, tag) {
+        const name = tag.replace(/^#/, '').toLowerCase();
+        const tags = this.pageTags.get(pageId);
+        if (!tags) return false;
+
+        return [...tags.keys()].some(key => key === name || key.startsWith(name + '/'));
+    },
+
+    /**
+     * Build the tag tree. A tag counts the pages that have it or a tag nested under it.
+     * @returns {Array} Root nodes { tag, label, pageIds, children }, sorted by name
+     */
+    getTree() {
+        const nodes = new Map();
+        const roots = [];
+
+        const getNode = (tag, label) => {
+            if (!nodes.has(tag)) {
+                const node = { tag: tag, label: label, pageIds: new Set(), children: [] };
+                nodes.set(tag, node);
+
+                const slash = tag.lastIndexOf('/');
+                if (slash === -1) {
+                    roots.push(node);
+                } else {
+                    const written = label.split('/');
+                    getNode(tag.slice(0, slash), written.slice(0, -1).join('/')).children.push(node);
+                }
+            }
+            return nodes.get(tag);
+        };
+
+        this.pageTags.forEach((tags, pageId) => {
+            tags.forEach((written, tag) => {
+                const parts = tag.split('/');
+                const labels = written.split('/');
+                for (let i = 1; i <= parts.length; i++) {
+                    getNode(parts.slice(0, i).join('/'), labels.slice(0, i).join('/')).pageIds.add(pageId);
+                }
+            });
+        });
+
+        const sort = list => {
+            list.sort((a, b) => a.tag.localeCompare(b.tag));
+            list.forEach(node => sort(node.children));
+            return list;
+        };
+        return sort(roots);
+    },
+
+    // ============================================
+    // Chips
+    // ============================================
+
+    /**
+     * Turn #tags in content into chips, before the markdown is rendered
+     * @param {string} content - Markdown content
+     * @returns {string} Content with chip HTML
+     */
+    processTags(content) {
+        return content.replace(this.TAG_PATTERN, (match, skipped, before, name) => {
+            if (skipped || !this.isValidName(name)) return match;
+            return `${before}<span class="tag-chip" data-tag="${name.toLowerCase()}">#${name}</span>`;
+        });
+    },
+
+    /**
+     * Bind click events to tag chips: clicking one filters the page tree by it
+     * @param {HTMLElement} container - Container element
+     */
+    bindTagClicks(container) {
+        container.querySelectorAll('.tag-chip').forEach(chip => {
+            chip.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.expanded = true;
+                this.select(chip.dataset.tag);
+            });
+        });
+    },
+
+    // ============================================
+    // Sidebar section
+    // ============================================
+
+    /**
+     * Filter the page tree by a tag
+     * @param {string|null} tag - Lowercased tag, or null to show all pages
+     */
+    select(tag) {
+        this.selected = tag;
+        if (tag) {
+            Sidebar.searchInput.value = '';
+        }
+        Sidebar.render();
+    },
+
+    /**
+     * Render the Tags section and the filter shown above the page tree
+     */
+    render() {
+        if (!this.section) return;
+
+        const tree = this.getTree();
+
+        // The filtered tag may have been renamed or removed from its last page
+        if (this.selected && !this.findNode(tree, this.selected)) {
+            this.selected = null;
+        }
+
+        const filter = document.getElementById('tagFilter');
+        filter.classList.toggle('hidden', !this.selected);
+        if (this.selected) {
+            document.getElementById('tagFilterName').textContent = '#' + this.findNode(tree, this.selected).label;
+        }
+
+        document.getElementById('tagsCount').textContent = tree.length > 0 ? this.countTags(tree) : '';
+        document.getElementById('tagsExpandIcon').classList.toggle('expanded', this.expanded);
+        this.list.classList.toggle('hidden', !this.expanded);
+
+        this.list.innerHTML = '';
+
+        if (tree.length === 0) {
+            this.list.innerHTML = '<div class="tags-empty">Type #tag in a page to tag it</div>';
+            return;
+        }
+
+        const add = (node, depth) => {
+            this.list.appendChild(this.createTagElement(node, depth));
+            node.children.forEach(child => add(child, depth + 1));
+        };
+        tree.forEach(node => add(node, 0));
+    },
+
+    /**
+     * Create a tag entry with its page count and a rename button
+     * @param {Object} node - Tag tree node
+     * @param {number} depth - Nesting depth
+     * @returns {HTMLElement} Entry element
+     */
+    createTagElement(node, depth) {
+        const header = document.createElement('div');
+        header.className = `nav-item-header tag-item ${node.tag === this.selected ? 'active' : ''}`;
+        header.style.paddingLeft = `${12 + depth * 16}px`;
+        header.title = `#${node.label}`;
+        header.innerHTML = `
+            <span class="item-icon">#</span>
+            <span class="item-name">${this.escapeHtml(node.label.split('/').pop())}</span>
+            <span class="tag-count">${node.pageIds.size}</span>
+            <div class="folder-actions">
+                <button class="folder-action-btn rename-tag-btn" title="Rename or merge">✎</button>
+            </div>
+        `;
+
+        header.addEventListener('click', () => {
+            this.select(node.tag === this.selected ? null : node.tag);
+        });
+
+        header.querySelector('.rename-tag-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.showRename(node);
+        });
+
+        return header;
+    },
+
+    /**
+     * Find a tag in the tree
+     * @param {Array} nodes - Tag tree nodes
+     * @param {string} tag - Lowercased tag
+     * @returns {Object|null} Node
+     */
+    findNode(nodes, tag) {
+        for (const node of nodes) {
+            if (node.tag === tag) return node;
+            const found = this.findNode(node.children, tag);
+            if (found) return found;
+        }
+        return null;
+    },
+
+    /**
+     * Count the tags in the tree
+     * @param {Array} nodes - Tag tree nodes
+     * @returns {number} Number of tags, nested ones included
+     */
+    countTags(nodes) {
+        return nodes.reduce((sum, node) => sum + 1 + this.countTags(node.children), 0);
+    },
+
+    // ============================================
+    // Rename and merge
+    // ============================================
+
+    /**
+     * Ask for a tag's new name. Renaming to a tag that already exists merges the two.
+     * @param {Object} node - Tag tree node
+     */
+    showRename(node) {
+        Sidebar.showInputModal(
+            'Rename Tag',
+            'New tag name, e.g. project/alpha',
+            node.label,
+            'Rename',
+            (value) => {
+                const name = value.replace(/^#/, '');
+                if (!this.isValidName(name)) {
+                    alert('A tag can contain letters, numbers, "-" and "_", with "/" between nested tags, and needs more than digits.');
+                    return;
+                }
+                if (name === node.label) return;
+
+                const existing = this.findNode(this.getTree(), name.toLowerCase());
+                if (existing && existing.tag !== node.tag) {
+                    Sidebar.showConfirmModal(
+                        'Merge Tags',
+                        `#${existing.label} already exists. Merge #${node.label} into it? ${this.describeCount(node.pageIds.size)} will be updated.`,
+                        'Merge',
+                        () => this.rename(node.tag, name)
+                    );
+                } else {
+                    this.rename(node.tag, name);
+                }
+            }
+        );
+    },
+
+    /**
+     * Describe a number of pages
+     * @param {number} count - Number of pages
+     * @returns {string} e.g. "3 pages"
+     */
+    describeCount(count) {
+        return count === 1 ? '1 page' : `${count} pages`;
+    },
+
+    /**
+     * Rewrite a tag, and the tags nested under it, in every page that uses it
+     * @param {string} from - Lowercased tag
+     * @param {string} to - New tag as it should be written
+     */
+    rename(from, to) {
+        // Include unsaved edits of the open page
+        Editor.save();
+
+        const renameTag = name => {
+            const lower = name.toLowerCase();
+            if (lower === from) return to;
+            if (lower.startsWith(from + '/')) return to + name.slice(from.length);
+            return name;
+        };
+
+        const pages = Object.values(Storage.getAllPages()).filter(page => this.hasTag(page.id, from));
+        pages.forEach(page => {
+            page.content = page.content.replace(this.TAG_PATTERN, (match, skipped, before, name) => {
+                if (skipped || !this.isValidName(name)) return match;
+                return `${before}#${renameTag(name)}`;
+            });
+            if (page.tags) {
+                page.tags = [...new Set(page.tags.map(tag => renameTag(String(tag).replace(/^#/, ''))))];
+            }
+            Storage.savePage(page);
+        });
+
+        if (this.selected && (this.selected === from || this.selected.startsWith(from + '/'))) {
+            this.selected = renameTag(this.selected).toLowerCase();
+        }
+
+        const openPageId = App.currentPageId;
+        if (pages.some(page => page.id === openPageId) && !Sync.hasConflict(openPageId)) {
+            Editor.loadPage(Storage.getPage(openPageId));
+        }
+
+        Sidebar.render();
+    },
+
+    /**
+     * Escape HTML special characters
+     * @param {string} str - String to escape
+     * @returns {string} Escaped string
+     */
+    escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+};
@@ -0,0 +1,209 @@
+/**
+ * Trash Module - Sidebar section for deleted pages and folders
+ * Items can be restored to their original folder or deleted permanently;
+ * old items are purged automatically after a configurable number of days.
+ */
+
+const Trash = {
+    DEFAULT_RETENTION_DAYS: 30,
+
+    section: null,
+    list: null,
+    expanded: false,
+
+    /**
+     * Initialize the Trash section and purge expired items
+     */
+    init() {
+        this.section = document.getElementById('trashSection');
+        this.list = document.getElementById('trashList');
+
+        document.getElementById('trashRetentionSelect').value = String(this.getRetentionDays());
+
+        this.bindEvents();
+        this.purgeExpired();
+    },
+
+    /**
+     * Bind Trash section events
+     */
+    bindEvents() {
+        document.getElementById('trashHeader').addEventListener('click', () => {
+            this.expanded = !this.expanded;
+            this.render();
+        });
+
+        document.getElementById('trashRetentionSelect').addEventListener('change', (e) => {
+            const settings = Storage.getSettings();
+            settings.trashRetentionDays = parseInt(e.target.value, 10);
+            Storage.saveSettings(settings);
+            this.purgeExpired();
+            this.render();
+        });
+
+        document.getElementById('emptyTrashBtn').addEventListener('click', () => {
+            Sidebar.showConfirmModal(
+                'Empty Trash',
+                'Permanently delete everything in the Trash? This cannot be undone.',
+                'Empty Trash',
+                () => {
+                    Storage.emptyTrash();
+                    this.render();
+                }
+            );
+        });
+    },
+
+    /**
+     * Get how many days deleted items are kept
+     * @returns {number} Days, or 0 to keep them until deleted by hand
+     */
+    getRetentionDays() {
+        const days = Storage.getSettings().trashRetentionDays;
+        return typeof days === 'number' ? days : this.DEFAULT_RETENTION_DAYS;
+    },
+
+    /**
+     * Permanently delete items older than the retention period
+     */
+    purgeExpired() {
+        const days = this.getRetentionDays();
+        if (days <= 0) return;
+
+        const count = Storage.purgeExpiredTrash(days);
+        if (count > 0) {
+            console.log(`Removed ${count} items from the Trash after ${days} days`);
+        }
+    },
+
+    /**
+     * Render the Trash section
+     */
+    render() {
+        if (!this.section) return;
+
+        const trash = Storage.getTrash();
+        const items = [
+            ...trash.folders.map(folder => ({ type: 'folder', item: folder })),
+            ...trash.pages.map(page => ({ type: 'page', item: page }))
+        ].sort((a, b) => new Date(b.item.deletedAt) - new Date(a.item.deletedAt));
+
+        document.getElementById('trashCount').textContent = items.length > 0 ? items.length : '';
+        document.getElementById('trashExpandIcon').classList.toggle('expanded', this.expanded);
+        document.getElementById('trashBody').classList.toggle('hidden', !this.expanded);
+
+        this.list.innerHTML = '';
+
+        if (items.length === 0) {
+            this.list.innerHTML = '<div class="trash-empty">Trash is empty</div>';
+            return;
+        }
+
+        items.forEach(({ type, item }) => {
+            this.list.appendChild(this.createItemElement(type, item));
+        });
+    },
+
+    /**
+     * Create a Trash entry with restore and delete buttons
+     * @param {string} type - 'page' or 'folder'
+     * @param {Object} item - Trashed page or folder
+     * @returns {HTMLElement} Entry element
+     */
+    createItemElement(type, item) {
+        const name = type === 'page' ? (item.title || 'Untitled') : item.name;
+        const location = (item.deletedFrom || []).map(folder => folder.name).join(' / ') || 'root';
+        const count = type === 'folder' ? Storage.getTrashedContentsCount(item.id) : 0;
+
+        const header = document.createElement('div');
+        header.className = 'nav-item-header trash-item';
+        header.title = `From ${location}, deleted ${new Date(item.deletedAt).toLocaleString()}`;
+        header.innerHTML = `
+            <span class="item-icon">${type === 'page' ? '📄' : '📁'}</span>
+            <span class="item-name">${this.escapeHtml(name)}</span>
+            ${count > 0 ? `<span class="trash-item-count">${count}</span>` : ''}
+            <div class="folder-actions">
+                <button class="folder-action-btn restore-btn" title="Restore">↺</button>
+                <button class="folder-action-btn purge-btn" title="Delete permanently">×</button>
+            </div>
+        `;
+
+        header.querySelector('.restore-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.restore(type, item.id);
+        });
+
+        header.querySelector('.purge-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.purge(type, item, name);
+        });
+
+        return header;
+    },
+
+    /**
+     * Restore an item to where it was deleted from
+     * @param {string} type - 'page' or 'folder'
+     * @param {string} id - Item ID
+     */
+    restore(type, id) {
+        if (type === 'page') {
+            const page = Storage.restorePage(id);
+            if (page) {
+                this.expandPath(page.folderId);
+                App.openPage(page.id);
+            }
+        } else {
+            const folder = Storage.restoreFolder(id);
+            if (folder) {
+                this.expandPath(folder.parentId);
+            }
+        }
+        Sidebar.render();
+    },
+
+    /**
+     * Permanently delete an item after confirmation
+     * @param {string} type - 'page' or 'folder'
+     * @param {Object} item - Trashed page or folder
+     * @param {string} name - Display name
+     */
+    purge(type, item, name) {
+        const what = type === 'page' ? `"${name}"` : `folder "${name}" and everything in it`;
+
+        Sidebar.showConfirmModal(
+            'Delete Permanently',
+            `Permanently delete ${what}? This cannot be undone.`,
+            'Delete',
+            () => {
+                if (type === 'page') {
+                    Storage.purgePage(item.id);
+                } else {
+                    Storage.purgeFolder(item.id);
+                }
+                this.render();
+            }
+        );
+    },
+
+    /**
+     * Expand a folder and its parents in the sidebar
+     * @param {string|null} folderId - Folder ID
+     */
+    expandPath(folderId) {
+        Storage.getFolderPath(folderId).forEach(folder => {
+            Sidebar.expandedFolders.add(folder.id);
+        });
+    },
+
+    /**
+     * Escape HTML special characters
+     * @param {string} str - String to escape
+     * @returns {string} Escaped string
+     */
+    escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+};
@@ -0,0 +1,298 @@
+/**
+ * Usage Module - "Not saved" banner and storage usage breakdown
+ * Shows when writes fail (usually because storage is full) and which
+ * pages, voice memos and histories take up the space.
+ */
+
+const Usage = {
+    MAX_ROWS: 100,
+
+    modal: null,
+    banner: null,
+    expanded: new Set(),
+
+    /**
+     * Initialize the banner and usage view
+     */
+    init() {
+        this.modal = document.getElementById('usageModal');
+        this.banner = document.getElementById('saveBanner');
+        this.bindEvents();
+
+        Storage.onSaveStatus(error => {
+            this.updateBanner(error);
+        });
+    },
+
+    /**
+     * Bind banner and modal events
+     */
+    bindEvents() {
+        document.getElementById('saveRetryBtn').addEventListener('click', () => {
+            Storage.retryUnsaved();
+        });
+
+        document.getElementById('saveUsageBtn').addEventListener('click', () => {
+            this.show();
+        });
+
+        document.getElementById('closeUsageBtn').addEventListener('click', () => {
+            this.hide();
+        });
+
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.hide();
+            }
+        });
+
+        // Warn before closing the tab while changes only exist in memory
+        window.addEventListener('beforeunload', (e) => {
+            if (Storage.unsaved.length > 0) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
+    },
+
+    /**
+     * Show or hide the "not saved" banner
+     * @param {Error|null} error - Save error, or null once everything is saved
+     */
+    updateBanner(error) {
+        if (!error) {
+            this.banner.classList.add('hidden');
+            return;
+        }
+
+        const full = error.name === 'QuotaExceededError';
+        document.getElementById('saveBannerText').textContent = full
+            ? 'Not saved — browser storage is full. Your changes are kept until you close this tab. Free up space, then retry.'
+            : 'Not saved — ' + (error.message || 'the browser refused to save') + '. Your changes are kept until you close this tab.';
+        this.banner.classList.remove('hidden');
+    },
+
+    /**
+     * Show the storage usage view
+     */
+    async show() {
+        this.modal.classList.remove('hidden');
+        document.getElementById('usageContent').textContent = 'Measuring...';
+        await this.render();
+    },
+
+    /**
+     * Hide the storage usage view
+     */
+    hide() {
+        this.modal.classList.add('hidden');
+    },
+
+    /**
+     * Measure how many bytes each page uses
+     * @returns {Promise<Array>} Rows { page, trashed, textBytes, memos, historyBytes, total }, largest first
+     */
+    async measure() {
+        const historyBytes = {};
+        (await Database.getAll('versions')).forEach(version => {
+            historyBytes[version.pageId] = (historyBytes[version.pageId] || 0) + this.byteSize(version);
+        });
+
+        return Object.values(Storage.getRawData().pages).map(page => {
+            const { voiceMemos, ...record } = page;
+            const memos = voiceMemos.map((memo, i) => ({
+                id: memo.id,
+                label: `Voice Memo ${i + 1}`,
+                bytes: this.byteSize(memo)
+            }));
+            const textBytes = this.byteSize(record);
+            const history = historyBytes[page.id] || 0;
+
+            return {
+                page: page,
+                trashed: !!page.deletedAt,
+                textBytes: textBytes,
+                memos: memos,
+                memoBytes: memos.reduce((sum, memo) => sum + memo.bytes, 0),
+                historyBytes: history,
+                total: textBytes + history + memos.reduce((sum, memo) => sum + memo.bytes, 0)
+            };
+        }).sort((a, b) => b.total - a.total);
+    },
+
+    /**
+     * Render the usage breakdown
+     */
+    async render() {
+        const content = document.getElementById('usageContent');
+        const rows = await this.measure();
+        const sum = field => rows.reduce((total, row) => total + row[field], 0);
+
+        let html = '';
+
+        if (navigator.storage && navigator.storage.estimate) {
+            // Some private modes refuse the estimate; the breakdown below doesn't need it
+            try {
+                const estimate = await navigator.storage.estimate();
+                html += `<p class="import-summary">Using ${this.formatBytes(estimate.usage)} of ${this.formatBytes(estimate.quota)} available to this site.</p>`;
+            } catch (e) {
+                console.warn('Storage estimate failed:', e);
+            }
+        }
+
+        html += `<p class="usage-totals">Text ${this.formatBytes(sum('textBytes'))} · Voice memos ${this.formatBytes(sum('memoBytes'))} · History ${this.formatBytes(sum('historyBytes'))}</p>`;
+
+        if (rows.length === 0) {
+            content.innerHTML = html + '<p>No pages yet.</p>';
+            return;
+        }
+
+        html += `
+            <table class="usage-table">
+                <thead>
+                    <tr><th>Page</th><th>Text</th><th>Voice memos</th><th>History</th><th>Total</th></tr>
+                </thead>
+                <tbody>
+        `;
+
+        rows.slice(0, this.MAX_ROWS).forEach(row => {
+            const title = this.escapeHtml(row.page.title || 'Untitled') + (row.trashed ? ' <span class="usage-muted">(in Trash)</span>' : '');
+            const canExpand = row.memos.length > 0 || row.historyBytes > 0;
+
+            html += `
+                <tr class="usage-row ${canExpand ? 'expandable' : ''}" data-id="${row.page.id}">
+                    <td>${canExpand ? (this.expanded.has(row.page.id) ? '▾ ' : '▸ ') : ''}${title}</td>
+                    <td>${this.formatBytes(row.textBytes)}</td>
+                    <td>${row.memos.length > 0 ? `${this.formatBytes(row.memoBytes)} (${row.memos.length})` : '—'}</td>
+                    <td>${row.historyBytes > 0 ? this.formatBytes(row.historyBytes) : '—'}</td>
+                    <td>${this.formatBytes(row.total)}</td>
+                </tr>
+            `;
+
+            if (canExpand && this.expanded.has(row.page.id)) {
+                html += this.renderDetails(row);
+            }
+        });
+
+        html += '</tbody></table>';
+        if (rows.length > this.MAX_ROWS) {
+            html += `<p class="usage-muted">${rows.length - this.MAX_ROWS} smaller pages not shown.</p>`;
+        }
+
+        content.innerHTML = html;
+        this.bindRows(content);
+    },
+
+    /**
+     * Render a page's voice memos and history with buttons to delete them
+     * @param {Object} row - Row from measure()
+     * @returns {string} HTML
+     */
+    renderDetails(row) {
+        let html = '';
+
+        row.memos.forEach(memo => {
+            html += `
+                <tr class="usage-detail">
+                    <td colspan="4">🎤 ${memo.label}</td>
+                    <td>${this.formatBytes(memo.bytes)}
+                        ${row.trashed ? '' : `<button class="folder-action-btn usage-delete-memo" data-page="${row.page.id}" data-memo="${memo.id}" title="Delete voice memo">×</button>`}
+                    </td>
+                </tr>
+            `;
+        });
+
+        if (row.historyBytes > 0) {
+            html += `
+                <tr class="usage-detail">
+                    <td colspan="4">🕘 Version history</td>
+                    <td>${this.formatBytes(row.historyBytes)}
+                        <button class="folder-action-btn usage-clear-history" data-page="${row.page.id}" title="Clear version history">×</button>
+                    </td>
+                </tr>
+            `;
+        }
+
+        return html;
+    },
+
+    /**
+     * Bind row expansion and delete buttons
+     * @param {HTMLElement} content - Usage content element
+     */
+    bindRows(content) {
+        content.querySelectorAll('.usage-row.expandable').forEach(row => {
+            row.addEventListener('click', () => {
+                const id = row.dataset.id;
+                if (this.expanded.has(id)) {
+                    this.expanded.delete(id);
+                } else {
+                    this.expanded.add(id);
+                }
+                this.render();
+            });
+        });
+
+        content.querySelectorAll('.usage-delete-memo').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                Storage.deleteVoiceMemo(btn.dataset.page, btn.dataset.memo);
+                if (App.currentPageId === btn.dataset.page) {
+                    Voice.loadMemos(Storage.getPage(btn.dataset.page));
+                }
+                await this.afterDelete();
+            });
+        });
+
+        content.querySelectorAll('.usage-clear-history').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                const versions = await Storage.getVersions(btn.dataset.page);
+                await Storage.deleteVersions(versions.map(version => version.id));
+                await this.afterDelete();
+            });
+        });
+    },
+
+    /**
+     * After freeing space, retry failed writes and refresh the view
+     */
+    async afterDelete() {
+        await Database.flush();
+        if (Storage.unsaved.length > 0) {
+            await Storage.retryUnsaved();
+        }
+        await this.render();
+    },
+
+    /**
+     * Get the stored size of a record
+     * @param {Object} record - Record
+     * @returns {number} Bytes of its JSON
+     */
+    byteSize(record) {
+        return new TextEncoder().encode(JSON.stringify(record)).length;
+    },
+
+    /**
+     * Format a byte count
+     * @param {number} bytes - Bytes
+     * @returns {string} Human-readable size
+     */
+    formatBytes(bytes) {
+        if (!bytes) return '0 B';
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+    },
+
+    /**
+     * Escape HTML special characters
+     * @param {string} str - String to escape
+     * @returns {string} Escaped string
+     */
+    escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+};
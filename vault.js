@@ -0,0 +1,555 @@
+/**
+ * Vault Module - Optional encryption at rest with a passphrase
+ * Records are sealed with AES-GCM using a key derived from the passphrase
+ * (PBKDF2). The key only lives in memory; the app starts locked and
+ * locks itself again after a period of inactivity.
+ */
+
+const Vault = {
+    ITERATIONS: 310000,
+    DEFAULT_AUTO_LOCK_MINUTES: 10,
+    CHECK_TEXT: 'mononote-vault',
+
+    // Settings records that must stay readable while locked
+    PLAIN_SETTINGS: ['vault', 'schema'],
+
+    // localStorage entries that are encrypted too
+    LOCAL_KEYS: ['notionlite_llm_settings'],
+
+    meta: null, // { salt, iterations, check, autoLockMinutes }
+    key: null,
+    lockTimer: null,
+    activityBound: false,
+    modal: null,
+
+    /**
+     * Load the vault settings and, if encryption is on, wait for the passphrase
+     * @returns {Promise} Resolves once the data can be read
+     */
+    async init() {
+        this.modal = document.getElementById('vaultModal');
+        this.bindEvents();
+
+        const record = await Database.get('settings', 'vault');
+        this.meta = record ? record.value : null;
+        if (!this.meta) return;
+
+        await this.showLockScreen();
+        this.startAutoLock();
+    },
+
+    /**
+     * Bind vault modal events
+     */
+    bindEvents() {
+        document.getElementById('vaultEnableBtn').addEventListener('click', () => {
+            this.handleEnable();
+        });
+
+        document.getElementById('vaultChangeBtn').addEventListener('click', () => {
+            this.handleChange();
+        });
+
+        document.getElementById('vaultDisableBtn').addEventListener('click', () => {
+            this.handleDisable();
+        });
+
+        document.getElementById('vaultLockBtn').addEventListener('click', () => {
+            this.lock();
+        });
+
+        document.getElementById('vaultAutoLockSelect').addEventListener('change', (e) => {
+            this.setAutoLock(parseInt(e.target.value, 10));
+        });
+
+        document.getElementById('closeVaultBtn').addEventListener('click', () => {
+            this.hide();
+        });
+
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.hide();
+            }
+        });
+    },
+
+    /**
+     * Whether encryption is turned on
+     * @returns {boolean} True if the vault is enabled
+     */
+    isEnabled() {
+        return !!this.meta;
+    },
+
+    // ============================================
+    // Lock screen
+    // ============================================
+
+    /**
+     * Show the lock screen until the right passphrase is entered
+     * @returns {Promise} Resolves when unlocked
+     */
+    showLockScreen() {
+        const screen = document.getElementById('vaultLockScreen');
+        const input = document.getElementById('vaultUnlockInput');
+        const button = document.getElementById('vaultUnlockBtn');
+        const error = document.getElementById('vaultUnlockError');
+
+        screen.classList.remove('hidden');
+        input.focus();
+
+        return new Promise(resolve => {
+            const attempt = async () => {
+                button.disabled = true;
+                error.classList.add('hidden');
+
+                const unlocked = await this.unlock(input.value);
+                button.disabled = false;
+
+                if (unlocked) {
+                    input.value = '';
+                    screen.classList.add('hidden');
+                    resolve();
+                } else {
+                    error.classList.remove('hidden');
+                    input.select();
+                }
+            };
+
+            button.addEventListener('click', attempt);
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') attempt();
+            });
+        });
+    },
+
+    /**
+     * Try a passphrase and, if it is right, start decrypting data
+     * @param {string} passphrase - Passphrase
+     * @returns {Promise<boolean>} True if unlocked
+     */
+    async unlock(passphrase) {
+        const key = await this.checkPassphrase(passphrase);
+        if (!key) return false;
+
+        this.key = key;
+        Database.cipher = this.createCipher(key);
+        return true;
+    },
+
+    /**
+     * Save pending edits and lock by reloading; the decrypted data and key are
+     * dropped from memory and the lock screen is shown again
+     */
+    async lock() {
+        if (!this.isEnabled()) return;
+
+        const page = App.currentPageId ? Storage.getPage(App.currentPageId) : null;
+        if (Sync.hasConflict(App.currentPageId)) {
+            // Editor.save() holds back edits in conflict with another tab, so keep them as a copy
+            Sync.saveConflictCopy();
+        } else if (page && (page.content !== Editor.getContent() || page.title !== (Editor.getTitle() || 'Untitled'))) {
+            Editor.save();
+        }
+
+        await Database.flush();
+        location.reload();
+    },
+
+    /**
+     * Lock automatically after the configured minutes without user activity
+     */
+    startAutoLock() {
+        if (!this.activityBound) {
+            ['mousedown', 'mousemove', 'keydown', 'touchstart', 'wheel'].forEach(type => {
+                document.addEventListener(type, () => this.resetAutoLock(), { passive: true });
+            });
+            this.activityBound = true;
+        }
+        this.resetAutoLock();
+    },
+
+    /**
+     * Restart the inactivity timer
+     */
+    resetAutoLock() {
+        clearTimeout(this.lockTimer);
+        if (!this.key || !this.meta) return;
+
+        const minutes = this.meta.autoLockMinutes;
+        if (minutes > 0) {
+            this.lockTimer = setTimeout(() => this.lock(), minutes * 60 * 1000);
+        }
+    },
+
+    // ============================================
+    // Settings
+    // ============================================
+
+    /**
+     * Show the vault settings
+     */
+    show() {
+        const enabled = this.isEnabled();
+
+        document.getElementById('vaultStatus').textContent = enabled
+            ? 'Encryption is on. Your notes, voice memos and API key are encrypted on this device.'
+            : 'Encrypt your notes, voice memos and API key on this device with a passphrase. If you forget the passphrase, your notes cannot be recovered.';
+
+        document.getElementById('vaultCurrentInput').classList.toggle('hidden', !enabled);
+        document.getElementById('vaultEnableBtn').classList.toggle('hidden', enabled);
+        document.getElementById('vaultChangeBtn').classList.toggle('hidden', !enabled);
+        document.getElementById('vaultDisableBtn').classList.toggle('hidden', !enabled);
+        document.getElementById('vaultLockBtn').classList.toggle('hidden', !enabled);
+
+        document.getElementById('vaultAutoLockSelect').value = String(
+            enabled ? this.meta.autoLockMinutes : this.DEFAULT_AUTO_LOCK_MINUTES
+        );
+
+        ['vaultCurrentInput', 'vaultNewInput', 'vaultConfirmInput'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+        this.showError('');
+
+        this.modal.classList.remove('hidden');
+    },
+
+    /**
+     * Hide the vault settings
+     */
+    hide() {
+        this.modal.classList.add('hidden');
+    },
+
+    /**
+     * Show an error in the vault settings
+     * @param {string} message - Error, or '' to clear
+     */
+    showError(message) {
+        const error = document.getElementById('vaultError');
+        error.textContent = message;
+        error.classList.toggle('hidden', !message);
+    },
+
+    /**
+     * Read and check the new passphrase fields
+     * @returns {string|null} New passphrase, or null if invalid
+     */
+    readNewPassphrase() {
+        const passphrase = document.getElementById('vaultNewInput').value;
+        const confirm = document.getElementById('vaultConfirmInput').value;
+
+        if (passphrase.length < 8) {
+            this.showError('Use a passphrase of at least 8 characters.');
+            return null;
+        }
+        if (passphrase !== confirm) {
+            this.showError('The passphrases do not match.');
+            return null;
+        }
+        return passphrase;
+    },
+
+    /**
+     * Run a vault operation with the modal's buttons disabled
+     * @param {Function} task - Async task
+     */
+    async runTask(task) {
+        const buttons = this.modal.querySelectorAll('button');
+        buttons.forEach(btn => { btn.disabled = true; });
+        this.showError('');
+
+        try {
+            await task();
+        } catch (e) {
+            console.error('Vault operation failed:', e);
+            this.showError('Failed: ' + e.message);
+        } finally {
+            buttons.forEach(btn => { btn.disabled = false; });
+        }
+    },
+
+    /**
+     * Turn encryption on
+     */
+    handleEnable() {
+        if (!crypto.subtle) {
+            this.showError('Encryption needs a secure context (https:// or localhost).');
+            return;
+        }
+
+        const passphrase = this.readNewPassphrase();
+        if (!passphrase) return;
+
+        const minutes = parseInt(document.getElementById('vaultAutoLockSelect').value, 10);
+        this.runTask(async () => {
+            await this.setPassphrase(passphrase, minutes);
+            this.startAutoLock();
+            this.hide();
+        });
+    },
+
+    /**
+     * Change the passphrase and re-encrypt everything with the new key
+     */
+    handleChange() {
+        const current = document.getElementById('vaultCurrentInput').value;
+        const passphrase = this.readNewPassphrase();
+        if (!passphrase) return;
+
+        this.runTask(async () => {
+            if (!await this.checkPassphrase(current)) {
+                this.showError('The current passphrase is wrong.');
+                return;
+            }
+            await this.setPassphrase(passphrase, this.meta.autoLockMinutes);
+            this.hide();
+        });
+    },
+
+    /**
+     * Turn encryption off and store everything in plain form again
+     */
+    handleDisable() {
+        const current = document.getElementById('vaultCurrentInput').value;
+
+        this.runTask(async () => {
+            if (!await this.checkPassphrase(current)) {
+                this.showError('The current passphrase is wrong.');
+                return;
+            }
+            await this.rekey(null, null);
+            clearTimeout(this.lockTimer);
+            this.hide();
+        });
+    },
+
+    /**
+     * Save the auto-lock time
+     * @param {number} minutes - Minutes of inactivity, or 0 to never lock
+     */
+    async setAutoLock(minutes) {
+        if (!this.isEnabled()) return;
+
+        this.meta = { ...this.meta, autoLockMinutes: minutes };
+        await Database.commit([{ store: 'settings', put: { key: 'vault', value: this.meta } }]);
+        this.resetAutoLock();
+    },
+
+    // ============================================
+    // Keys
+    // ============================================
+
+    /**
+     * Derive a new key from a passphrase and re-encrypt everything with it
+     * @param {string} passphrase - New passphrase
+     * @param {number} autoLockMinutes - Auto-lock setting to keep
+     * @returns {Promise} Resolves when re-encrypted
+     */
+    async setPassphrase(passphrase, autoLockMinutes) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const key = await this.deriveKey(passphrase, salt, this.ITERATIONS);
+
+        await this.rekey(key, {
+            salt: this.toBase64(salt),
+            iterations: this.ITERATIONS,
+            check: await this.encrypt(key, this.CHECK_TEXT),
+            autoLockMinutes: autoLockMinutes
+        });
+    },
+
+    /**
+     * Re-write all data under a new key (or unencrypted if key is null)
+     * @param {CryptoKey|null} key - New key
+     * @param {Object|null} meta - New vault settings
+     * @returns {Promise} Resolves when done
+     */
+    async rekey(key, meta) {
+        const local = {};
+        for (const name of this.LOCAL_KEYS) {
+            local[name] = await this.readLocal(name);
+        }
+
+        const metaOp = meta
+            ? { store: 'settings', put: { key: 'vault', value: meta } }
+            : { store: 'settings', delete: 'vault' };
+        await Database.reseal(key ? this.createCipher(key) : null, [metaOp]);
+
+        this.key = key;
+        this.meta = meta;
+
+        for (const name of this.LOCAL_KEYS) {
+            if (local[name] !== null) {
+                await this.writeLocal(name, local[name]);
+            }
+        }
+    },
+
+    /**
+     * Check a passphrase against the stored check value
+     * @param {string} passphrase - Passphrase
+     * @returns {Promise<CryptoKey|null>} The key if the passphrase is right
+     */
+    async checkPassphrase(passphrase) {
+        if (!this.meta || !passphrase) return null;
+
+        try {
+            const key = await this.deriveKey(passphrase, this.fromBase64(this.meta.salt), this.meta.iterations);
+            return await this.decrypt(key, this.meta.check) === this.CHECK_TEXT ? key : null;
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Derive an AES-GCM key from a passphrase
+     * @param {string} passphrase - Passphrase
+     * @param {Uint8Array} salt - Random salt
+     * @param {number} iterations - PBKDF2 iterations
+     * @returns {Promise<CryptoKey>} Key
+     */
+    async deriveKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    },
+
+    // ============================================
+    // Encryption
+    // ============================================
+
+    /**
+     * Create the cipher Database uses to seal and open records
+     * @param {CryptoKey} key - Key
+     * @returns {Object} { seal, open }
+     */
+    createCipher(key) {
+        return {
+            seal: (store, record) => this.seal(key, store, record),
+            open: (store, record) => this.open(key, store, record)
+        };
+    },
+
+    /**
+     * Encrypt a record, leaving only its key and indexed fields readable
+     * @param {CryptoKey} key - Key
+     * @param {string} store - Store name
+     * @param {Object} record - Record
+     * @returns {Promise<Object>} Sealed record
+     */
+    async seal(key, store, record) {
+        if (store === 'settings' && this.PLAIN_SETTINGS.includes(record.key)) {
+            return record;
+        }
+
+        const config = Database.STORES[store];
+        const sealed = { [config.keyPath]: record[config.keyPath] };
+        (config.indexes || []).forEach(field => {
+            sealed[field] = record[field];
+        });
+        sealed.vault = await this.encrypt(key, JSON.stringify(record));
+        return sealed;
+    },
+
+    /**
+     * Decrypt a sealed record; records stored before encryption pass through
+     * @param {CryptoKey} key - Key
+     * @param {string} store - Store name
+     * @param {Object} record - Record as stored
+     * @returns {Promise<Object>} Record
+     */
+    async open(key, store, record) {
+        if (!record.vault) return record;
+        return JSON.parse(await this.decrypt(key, record.vault));
+    },
+
+    /**
+     * Encrypt text
+     * @param {CryptoKey} key - Key
+     * @param {string} text - Plain text
+     * @returns {Promise<Object>} { iv, data } in base64
+     */
+    async encrypt(key, text) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, new TextEncoder().encode(text));
+        return { iv: this.toBase64(iv), data: this.toBase64(new Uint8Array(data)) };
+    },
+
+    /**
+     * Decrypt text
+     * @param {CryptoKey} key - Key
+     * @param {Object} sealed - { iv, data } in base64
+     * @returns {Promise<string>} Plain text
+     */
+    async decrypt(key, sealed) {
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.fromBase64(sealed.iv) },
+            key,
+            this.fromBase64(sealed.data)
+        );
+        return new TextDecoder().decode(data);
+    },
+
+    /**
+     * Read a JSON value from localStorage, decrypting it if needed
+     * @param {string} name - localStorage key
+     * @returns {Promise<*>} Value, or null if missing or locked
+     */
+    async readLocal(name) {
+        const saved = localStorage.getItem(name);
+        if (!saved) return null;
+
+        const value = JSON.parse(saved);
+        if (!value || !value.vault) return value;
+        if (!this.key) return null;
+
+        return JSON.parse(await this.decrypt(this.key, value.vault));
+    },
+
+    /**
+     * Write a JSON value to localStorage, encrypted if the vault is on
+     * @param {string} name - localStorage key
+     * @param {*} value - Value
+     * @returns {Promise} Resolves when written
+     */
+    async writeLocal(name, value) {
+        const stored = this.key
+            ? { vault: await this.encrypt(this.key, JSON.stringify(value)) }
+            : value;
+        localStorage.setItem(name, JSON.stringify(stored));
+    },
+
+    /**
+     * Encode bytes as base64
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {string} Base64
+     */
+    toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    },
+
+    /**
+     * Decode base64 to bytes
+     * @param {string} base64 - Base64
+     * @returns {Uint8Array} Bytes
+     */
+    fromBase64(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+};
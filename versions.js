@@ -0,0 +1,393 @@
+/**
+ * Versions Module - Per-page version history with diff and restore
+ * Snapshots are taken automatically (at most one per time window while editing)
+ * and always before AI rewrites, bulk deletes and restores.
+ */
+
+const Versions = {
+    COALESCE_MINUTES: 10,
+    MAX_PER_PAGE: 50,
+    MAX_AGE_DAYS: 30,
+    CONTEXT_LINES: 3,
+
+    modal: null,
+    lastSnapshotAt: {}, // Page ID -> time of its newest snapshot
+    queue: Promise.resolve(),
+    versions: [],
+    selectedId: null,
+
+    /**
+     * Initialize version history
+     */
+    init() {
+        this.modal = document.getElementById('historyModal');
+        this.bindEvents();
+
+        // Changes from other tabs were already snapshotted there
+        Storage.onPageChange((page, previous, remote) => {
+            if (!remote) {
+                this.handlePageChange(page, previous);
+            }
+        });
+    },
+
+    /**
+     * Bind history panel events
+     */
+    bindEvents() {
+        document.getElementById('historyBtn').addEventListener('click', () => {
+            this.show();
+        });
+
+        document.getElementById('closeHistoryBtn').addEventListener('click', () => {
+            this.hide();
+        });
+
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.hide();
+            }
+        });
+    },
+
+    // ============================================
+    // Snapshots
+    // ============================================
+
+    /**
+     * Snapshot the previous state of an edited page, unless one was taken recently
+     * @param {Object|null} page - Saved page, or null if moved to the Trash
+     * @param {Object|null} previous - Page before the change
+     */
+    handlePageChange(page, previous) {
+        if (!page || !previous || (page.title === previous.title && page.content === previous.content)) return;
+
+        this.enqueue(async () => {
+            const last = await this.getLastSnapshotTime(page.id);
+            if (Date.now() - last >= this.COALESCE_MINUTES * 60 * 1000) {
+                await this.write(previous, 'Edited');
+            }
+        });
+    },
+
+    /**
+     * Take a snapshot now, regardless of the time window
+     * @param {Object} page - Page (title and content) to keep
+     * @param {string} reason - Why the snapshot was taken
+     * @returns {Promise} Resolves when saved
+     */
+    snapshot(page, reason) {
+        return this.enqueue(() => this.write(page, reason));
+    },
+
+    /**
+     * Run history writes one after another so time windows are respected
+     * @param {Function} task - Async task
+     * @returns {Promise} Resolves when the task is done
+     */
+    enqueue(task) {
+        this.queue = this.queue.then(task).catch(e => {
+            console.error('Version history failed:', e);
+        });
+        return this.queue;
+    },
+
+    /**
+     * Get when a page's newest snapshot was taken
+     * @param {string} pageId - Page ID
+     * @returns {Promise<number>} Timestamp, or 0 if there are none
+     */
+    async getLastSnapshotTime(pageId) {
+        if (!(pageId in this.lastSnapshotAt)) {
+            const versions = await Storage.getVersions(pageId);
+            this.lastSnapshotAt[pageId] = versions.length > 0 ? new Date(versions[0].createdAt).getTime() : 0;
+        }
+        return this.lastSnapshotAt[pageId];
+    },
+
+    /**
+     * Save a snapshot (skipped if identical to the newest one) and prune old ones
+     * @param {Object} page - Page to keep
+     * @param {string} reason - Why the snapshot was taken
+     */
+    async write(page, reason) {
+        const versions = await Storage.getVersions(page.id);
+        const newest = versions[0];
+
+        if (!newest || newest.title !== page.title || newest.content !== (page.content || '')) {
+            const version = await Storage.saveVersion({
+                pageId: page.id,
+                title: page.title,
+                content: page.content || '',
+                savedAt: page.updatedAt,
+                reason: reason
+            });
+            versions.unshift(version);
+        }
+
+        this.lastSnapshotAt[page.id] = Date.now();
+        await this.prune(versions);
+    },
+
+    /**
+     * Delete snapshots beyond the per-page limit or older than the maximum age
+     * @param {Array} versions - A page's snapshots, newest first
+     */
+    async prune(versions) {
+        const cutoff = Date.now() - this.MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+        const expired = versions.filter((version, i) =>
+            i >= this.MAX_PER_PAGE || new Date(version.createdAt).getTime() < cutoff
+        );
+
+        if (expired.length > 0) {
+            await Storage.deleteVersions(expired.map(version => version.id));
+        }
+    },
+
+    // ============================================
+    // History panel
+    // ============================================
+
+    /**
+     * Show the history panel for the current page
+     */
+    async show() {
+        if (!App.currentPageId) return;
+
+        await this.queue;
+        this.versions = await Storage.getVersions(App.currentPageId);
+        this.selectedId = this.versions.length > 0 ? this.versions[0].id : null;
+
+        this.renderList();
+        this.renderDiff();
+        this.modal.classList.remove('hidden');
+    },
+
+    /**
+     * Hide the history panel
+     */
+    hide() {
+        this.modal.classList.add('hidden');
+    },
+
+    /**
+     * Render the list of snapshots
+     */
+    renderList() {
+        const list = document.getElementById('historyList');
+        list.innerHTML = '';
+
+        if (this.versions.length === 0) {
+            list.innerHTML = '<div class="history-empty">No earlier versions yet.</div>';
+            return;
+        }
+
+        this.versions.forEach(version => {
+            const item = document.createElement('div');
+            item.className = 'history-item';
+            if (version.id === this.selectedId) {
+                item.classList.add('active');
+            }
+
+            item.innerHTML = `
+                <div class="history-item-info">
+                    <span class="history-item-date">${this.formatDate(version.savedAt || version.createdAt)}</span>
+                    <span class="history-item-reason">${this.escapeHtml(version.reason || '')}</span>
+                </div>
+                <button class="small-btn secondary history-restore-btn">Restore</button>
+            `;
+
+            item.addEventListener('click', () => {
+                this.selectedId = version.id;
+                this.renderList();
+                this.renderDiff();
+            });
+
+            item.querySelector('.history-restore-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.restore(version);
+            });
+
+            list.appendChild(item);
+        });
+    },
+
+    /**
+     * Render the diff between the selected snapshot and the current content
+     */
+    renderDiff() {
+        const diffEl = document.getElementById('historyDiff');
+        const version = this.versions.find(v => v.id === this.selectedId);
+
+        if (!version) {
+            diffEl.innerHTML = '';
+            return;
+        }
+
+        const currentTitle = Editor.getTitle() || 'Untitled';
+        const lines = this.diffLines(version.content, Editor.getContent());
+        let html = '<div class="diff-legend">- only in this version &nbsp; + only in current page</div>';
+
+        if (version.title !== currentTitle) {
+            html += `<div class="diff-title">Title: <span class="diff-remove">${this.escapeHtml(version.title)}</span> → <span class="diff-add">${this.escapeHtml(currentTitle)}</span></div>`;
+        }
+
+        if (lines.every(line => line.type === 'same')) {
+            html += '<div class="history-empty">Content is the same as the current page.</div>';
+            diffEl.innerHTML = html;
+            return;
+        }
+
+        // Collapse long runs of unchanged lines
+        let i = 0;
+        while (i < lines.length) {
+            if (lines[i].type !== 'same') {
+                const sign = lines[i].type === 'add' ? '+' : '-';
+                html += `<div class="diff-line ${lines[i].type}"><span class="diff-sign">${sign}</span>${this.escapeHtml(lines[i].text) || '&nbsp;'}</div>`;
+                i++;
+                continue;
+            }
+
+            let end = i;
+            while (end < lines.length && lines[end].type === 'same') end++;
+
+            const keepBefore = i === 0 ? 0 : this.CONTEXT_LINES;
+            const keepAfter = end === lines.length ? 0 : this.CONTEXT_LINES;
+
+            if (end - i > keepBefore + keepAfter + 1) {
+                lines.slice(i, i + keepBefore).forEach(line => { html += this.renderSameLine(line); });
+                html += `<div class="diff-skip">⋯ ${end - i - keepBefore - keepAfter} unchanged lines</div>`;
+                lines.slice(end - keepAfter, end).forEach(line => { html += this.renderSameLine(line); });
+            } else {
+                lines.slice(i, end).forEach(line => { html += this.renderSameLine(line); });
+            }
+            i = end;
+        }
+
+        diffEl.innerHTML = html;
+    },
+
+    /**
+     * Render an unchanged diff line
+     * @param {Object} line - Diff line
+     * @returns {string} HTML
+     */
+    renderSameLine(line) {
+        return `<div class="diff-line same"><span class="diff-sign"></span>${this.escapeHtml(line.text) || '&nbsp;'}</div>`;
+    },
+
+    /**
+     * Restore a snapshot as the page's current content.
+     * The current content is snapshotted first, so a restore can be undone.
+     * @param {Object} version - Snapshot to restore
+     */
+    async restore(version) {
+        const page = Storage.getPage(version.pageId);
+        if (!page) return;
+
+        if (App.currentPageId === page.id) {
+            clearTimeout(Editor.saveTimeout);
+            page.title = Editor.getTitle() || 'Untitled';
+            page.content = Editor.getContent();
+        }
+
+        await this.snapshot(page, 'Before restore');
+
+        page.title = version.title;
+        page.content = version.content;
+        Storage.savePage(page);
+
+        this.hide();
+        App.openPage(page.id);
+    },
+
+    // ============================================
+    // Utilities
+    // ============================================
+
+    /**
+     * Line diff between two texts (longest common subsequence)
+     * @param {string} oldText - Earlier text
+     * @param {string} newText - Later text
+     * @returns {Array} Lines { type: 'same'|'add'|'remove', text }
+     */
+    diffLines(oldText, newText) {
+        const a = (oldText || '').split('\n');
+        const b = (newText || '').split('\n');
+
+        // Skip the common prefix and suffix
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const midA = a.slice(start, endA);
+        const midB = b.slice(start, endB);
+        const n = midA.length;
+        const m = midB.length;
+        const result = a.slice(0, start).map(text => ({ type: 'same', text: text }));
+
+        if (n * m > 4000000) {
+            // Too large for the table - show the changed region as replaced
+            midA.forEach(text => result.push({ type: 'remove', text: text }));
+            midB.forEach(text => result.push({ type: 'add', text: text }));
+        } else {
+            const lcs = [];
+            for (let i = 0; i <= n; i++) {
+                lcs.push(new Uint32Array(m + 1));
+            }
+            for (let i = n - 1; i >= 0; i--) {
+                for (let j = m - 1; j >= 0; j--) {
+                    lcs[i][j] = midA[i] === midB[j]
+                        ? lcs[i + 1][j + 1] + 1
+                        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+                }
+            }
+
+            let i = 0;
+            let j = 0;
+            while (i < n && j < m) {
+                if (midA[i] === midB[j]) {
+                    result.push({ type: 'same', text: midA[i] });
+                    i++;
+                    j++;
+                } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+                    result.push({ type: 'remove', text: midA[i++] });
+                } else {
+                    result.push({ type: 'add', text: midB[j++] });
+                }
+            }
+            while (i < n) result.push({ type: 'remove', text: midA[i++] });
+            while (j < m) result.push({ type: 'add', text: midB[j++] });
+        }
+
+        a.slice(endA).forEach(text => result.push({ type: 'same', text: text }));
+        return result;
+    },
+
+    /**
+     * Format a date for the history list
+     * @param {string} value - ISO date
+     * @returns {string} Local date and time
+     */
+    formatDate(value) {
+        const date = new Date(value);
+        return isNaN(date) ? 'Unknown date' : date.toLocaleString();
+    },
+
+    /**
+     * Escape HTML special characters
+     * @param {string} str - String to escape
+     * @returns {string} Escaped string
+     */
+    escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML;
+    }
+};
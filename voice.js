@@ -326,6 +326,7 @@ const Voice = {
         page.voiceMemos.forEach(memo => {
             const item = document.createElement('div');
             item.className = 'voice-memo-item';
+            item.dataset.id = memo.id;
 
             // Audio player
             const audio = document.createElement('audio');
@@ -352,6 +353,22 @@ const Voice = {
         });
     },
 
+    /**
+     * Scroll to a voice memo of the open page, highlight it briefly and focus its player
+     * @param {string} memoId - Memo ID
+     */
+    revealMemo(memoId) {
+        const item = document.querySelector(`#memosContainer .voice-memo-item[data-id="${memoId}"]`);
+        if (!item) return;
+
+        item.scrollIntoView({ block: 'center' });
+        item.classList.add('revealed');
+        item.querySelector('audio').focus();
+        setTimeout(() => {
+            item.classList.remove('revealed');
+        }, 2000);
+    },
+
     /**
      * Delete a voice memo
      * @param {string} memoId - Memo ID
@@ -0,0 +1,190 @@
+/**
+ * Zip Module - Minimal ZIP archive reader and writer
+ * Written files are stored uncompressed; names are UTF-8.
+ * Reading supports stored and deflated entries (via DecompressionStream).
+ */
+
+const Zip = {
+    crcTable: null,
+
+    /**
+     * Create a ZIP archive
+     * @param {Array} files - Entries { path, data (string|Uint8Array), date }; paths ending in '/' are directories
+     * @returns {Blob} ZIP file
+     */
+    create(files) {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.path);
+            const data = typeof file.data === 'string'
+                ? encoder.encode(file.data)
+                : (file.data || new Uint8Array(0));
+            const crc = this.crc32(data);
+            const { time, date } = this.dosDateTime(file.date || new Date());
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);   // Local file header signature
+            local.setUint16(4, 20, true);           // Version needed
+            local.setUint16(6, 0x0800, true);       // Flags: UTF-8 names
+            local.setUint16(8, 0, true);            // Method: stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true); // Compressed size
+            local.setUint32(22, data.length, true); // Uncompressed size
+            local.setUint16(26, name.length, true);
+            local.setUint16(28, 0, true);           // Extra field length
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true); // Central directory signature
+            central.setUint16(4, 20, true);         // Version made by
+            central.setUint16(6, 20, true);         // Version needed
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint16(30, 0, true);         // Extra field length
+            central.setUint16(32, 0, true);         // Comment length
+            central.setUint16(34, 0, true);         // Disk number
+            central.setUint16(36, 0, true);         // Internal attributes
+            central.setUint32(38, file.path.endsWith('/') ? 0x10 : 0, true); // External attributes
+            central.setUint32(42, offset, true);    // Local header offset
+
+            localParts.push(local, name, data);
+            centralParts.push(central, name);
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);         // End of central directory signature
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+    },
+
+    /**
+     * Read the file entries of a ZIP archive
+     * @param {ArrayBuffer} buffer - ZIP file contents
+     * @returns {Promise<Array>} Entries { path, data (Uint8Array) }; unreadable entries have data null and an error
+     */
+    async read(buffer) {
+        const view = new DataView(buffer);
+        const decoder = new TextDecoder();
+
+        // Find the end of central directory record (it may be followed by a comment)
+        let end = -1;
+        for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) {
+            throw new Error('Not a valid .zip file');
+        }
+
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        const entries = [];
+
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error('The .zip file is damaged');
+            }
+
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const path = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength)).replace(/\\/g, '/');
+
+            offset += 46 + nameLength + extraLength + commentLength;
+            if (path.endsWith('/')) continue;
+
+            // Sizes come from the central directory; the local header only tells us where data starts
+            const start = localOffset + 30 +
+                view.getUint16(localOffset + 26, true) +
+                view.getUint16(localOffset + 28, true);
+
+            try {
+                const data = await this.inflate(new Uint8Array(buffer, start, compressedSize), method);
+                entries.push({ path: path, data: data });
+            } catch (e) {
+                entries.push({ path: path, data: null, error: e.message });
+            }
+        }
+
+        return entries;
+    },
+
+    /**
+     * Decompress one entry
+     * @param {Uint8Array} bytes - Raw entry data
+     * @param {number} method - ZIP compression method
+     * @returns {Promise<Uint8Array>} Uncompressed data
+     */
+    async inflate(bytes, method) {
+        if (method === 0) return bytes.slice();
+
+        if (method !== 8) {
+            throw new Error(`Unsupported compression method (${method})`);
+        }
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot read compressed .zip files');
+        }
+
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    },
+
+    /**
+     * Convert a date to MS-DOS time and date fields
+     * @param {Date} d - Date
+     * @returns {Object} { time, date }
+     */
+    dosDateTime(d) {
+        return {
+            time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+            date: (Math.max(d.getFullYear() - 1980, 0) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+        };
+    },
+
+    /**
+     * Compute the CRC-32 checksum of some bytes
+     * @param {Uint8Array} data - Bytes
+     * @returns {number} Unsigned CRC-32
+     */
+    crc32(data) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = this.crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+};